@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * 호감도 창 CLI: 로컬 설정 폴더를 이미지 파일로 렌더링, 골든 이미지와 비교
+ * 설정 폴더는 저장소와 같은 구조 ({bucket}/{name}/setting.json, image.webp, fonts/, 버킷 폴더의 theme.json, themes/, images/, fonts/)
+ */
+// 렌더러 로그는 경고 이상만 (LOG_LEVEL로 변경 가능)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  render,
+  renderAnimation,
+  compareImages,
+  resolveConfigInheritance,
+  getRenderImageSources,
+  getImageStorageKey,
+  getFontDefinitions,
+  getAnimationSettings,
+  getLegacyStatKey,
+  getStats,
+  parseStatParams,
+  normalizeOutputOptions,
+  isPlainObject
+} = require('./renderer');
+
+const USAGE = `사용법: node cli.js <설정 폴더...> [옵션]
+
+값 (여러 번 지정 가능, 없으면 스탯 기본값):
+  -v, --value <값>        75, 20to80 (애니메이션), Love=50,Trust=40
+  -r, --range <시작:끝[:간격]>
+                          값 범위 일괄 렌더링 (간격 기본값: 1)
+      --stat <키>         --range를 적용할 스탯 (기본값: 첫 스탯)
+
+출력:
+  -o, --out <경로>        출력 파일 또는 폴더 (값이나 설정 폴더가 여러 개면 폴더, 기본값: 현재 폴더)
+  -f, --format <형식>     webp | png | jpeg | avif | gif (기본값: png, 애니메이션은 gif/webp만, 없으면 설정의 animation.format)
+      --quality <0~100>   손실 압축 품질 (기본값: 80)
+      --scale <배율>      출력 배율 (기본값: 1)
+      --lossless          무손실 WebP/AVIF
+
+골든 이미지 비교:
+  -g, --golden <폴더>     같은 파일 이름의 이미지와 픽셀 비교, 다르면 종료 코드 1
+      --threshold <비율>  허용할 다른 픽셀 비율, 0~1 (기본값: 0)
+      --tolerance <값>    같은 픽셀로 볼 채널 값 차이, 0~255 (기본값: 0)
+      --update            비교하지 않고 골든 이미지를 새로 저장
+
+  -h, --help              도움말`;
+
+/**
+ * 명령줄 인자 파싱 (잘못된 옵션이면 사용법 오류)
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      value: { type: 'string', short: 'v', multiple: true },
+      range: { type: 'string', short: 'r' },
+      stat: { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      quality: { type: 'string' },
+      scale: { type: 'string' },
+      lossless: { type: 'boolean', default: false },
+      golden: { type: 'string', short: 'g' },
+      threshold: { type: 'string', default: '0' },
+      tolerance: { type: 'string', default: '0' },
+      update: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  return { options: values, folders: positionals };
+}
+
+/**
+ * 0 이상 숫자 옵션 (max를 넘거나 숫자가 아니면 오류)
+ */
+function parseNumberOption(raw, name, max) {
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || value > max) {
+    throw new Error(`--${name}는 0~${max} 사이의 숫자여야 합니다: ${raw}`);
+  }
+  return value;
+}
+
+/**
+ * JSON 파일 읽기 (파싱 실패 시 파일 경로 포함)
+ */
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * 로컬 설정 폴더 읽기 (extends 테마는 버킷 폴더에서)
+ * 반환: { root, bucket, name, config } (root: 버킷 폴더의 상위 폴더, 저장소 키의 기준)
+ */
+async function loadLocalConfig(folder) {
+  const dir = path.resolve(folder);
+  const root = path.dirname(path.dirname(dir));
+  const bucket = path.basename(path.dirname(dir));
+  const name = path.basename(dir);
+
+  const settingFile = path.join(dir, 'setting.json');
+  if (!fs.existsSync(settingFile)) {
+    throw new Error(`setting.json이 없습니다: ${settingFile}`);
+  }
+  const raw = readJsonFile(settingFile);
+  if (!isPlainObject(raw)) {
+    throw new Error(`설정은 객체여야 합니다: ${settingFile}`);
+  }
+  const { config } = await resolveConfigInheritance(bucket, raw, async key => {
+    const file = path.join(root, key);
+    if (!fs.existsSync(file)) {
+      throw new Error(`테마 파일이 없습니다: ${file}`);
+    }
+    return { data: readJsonFile(file) };
+  });
+  return { root, bucket, name, config };
+}
+
+/**
+ * 렌더링 자원 읽기 (image.webp, 요소/단계 이미지, 폰트 파일, 없는 파일은 건너뜀)
+ */
+function loadLocalAssets({ root, bucket, name, config }, values) {
+  const readIfExists = file => (fs.existsSync(file) ? fs.readFileSync(file) : null);
+  const images = {};
+  getRenderImageSources(config, values).forEach(src => {
+    const buffer = readIfExists(path.join(root, getImageStorageKey(bucket, name, src)));
+    if (buffer) {
+      images[src] = buffer;
+    }
+  });
+
+  const fonts = {};
+  Object.values(getFontDefinitions(config)).flat().forEach(face => {
+    if (!face.file || fonts[face.file]) return;
+    const buffer = readIfExists(path.join(root, bucket, face.shared ? '' : name, 'fonts', face.file));
+    if (buffer) {
+      fonts[face.file] = buffer;
+    }
+  });
+
+  return { image: readIfExists(path.join(root, bucket, name, 'image.webp')), images, fonts };
+}
+
+/**
+ * 렌더링할 값 목록: [{ label (파일 이름용), value, previousValue }]
+ * --value는 URL 쿼리와 같은 형식 (숫자만 쓰면 첫 스탯), --range는 시작~끝을 간격마다
+ */
+function resolveRenderValues(config, options) {
+  const statKey = options.stat || getLegacyStatKey(config);
+  if (!getStats(config).some(stat => stat.key === statKey)) {
+    throw new Error(`알 수 없는 스탯입니다: ${statKey}`);
+  }
+
+  const entries = [];
+  const add = (label, params) => {
+    entries.push({ label, ...parseStatParams(config, params) });
+  };
+
+  (options.value || []).forEach(raw => {
+    if (!raw.includes('=')) {
+      add(raw, { [statKey]: raw });
+      return;
+    }
+    const params = {};
+    raw.split(/[,&]/).forEach(pair => {
+      const [key, value = ''] = pair.split('=');
+      params[key.trim()] = value.trim();
+    });
+    add(raw.replace(/=/g, '-').replace(/[,&]/g, '_'), params);
+  });
+
+  if (options.range) {
+    const parts = options.range.split(':').map(Number);
+    const [start, end, step = 1] = parts;
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !Number.isFinite(part)) || step <= 0) {
+      throw new Error(`--range는 시작:끝[:간격] 형식이어야 합니다 (간격 > 0): ${options.range}`);
+    }
+    const direction = end >= start ? 1 : -1;
+    const count = Math.floor(Math.abs(end - start) / step + 1e-9) + 1;
+    for (let i = 0; i < count; i++) {
+      // 소수 간격의 누적 오차 제거
+      const value = Number((start + direction * step * i).toFixed(10));
+      add(String(value), { [statKey]: String(value) });
+    }
+  }
+
+  if (entries.length === 0) {
+    // 값을 지정하지 않으면 각 스탯의 기본값
+    entries.push({ label: 'default', value: {}, previousValue: null });
+  }
+  return entries;
+}
+
+/**
+ * 출력 파일 경로 (--out이 폴더거나 값이 여러 개면 {폴더}/{이름}_{값}.{확장자})
+ */
+function getOutputFile(out, name, label, extension, multiple) {
+  const fileName = `${name}_${label}.${extension}`;
+  if (!out) {
+    return path.resolve(fileName);
+  }
+  const isDirectory = multiple || out.endsWith('/') || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+  return isDirectory ? path.resolve(out, fileName) : path.resolve(out);
+}
+
+// --out 없이 골든 이미지를 비교할 때 비교 이미지를 저장할 폴더 (작업 폴더에 파일을 남기지 않도록)
+const DIFF_DIR = path.join(os.tmpdir(), 'affection-render-diff');
+
+/**
+ * 골든 이미지와 비교 (다르면 비교 이미지 diffFile 저장)
+ * 반환: 통과 여부
+ */
+async function checkGolden(buffer, goldenFile, diffFile, options) {
+  if (!fs.existsSync(goldenFile)) {
+    console.log(`  ✗ 골든 이미지가 없습니다: ${goldenFile} (--update로 생성)`);
+    return false;
+  }
+  const result = await compareImages(buffer, fs.readFileSync(goldenFile), { tolerance: options.tolerance });
+  const percent = (result.diffRatio * 100).toFixed(3);
+  if (result.sizeMismatch) {
+    console.log(`  ✗ 크기가 다릅니다: ${goldenFile}`);
+    return false;
+  }
+  if (result.diffRatio > options.threshold) {
+    fs.mkdirSync(path.dirname(diffFile), { recursive: true });
+    fs.writeFileSync(diffFile, result.diffImage);
+    console.log(`  ✗ 픽셀 ${result.diffPixels}개 다름 (${percent}% > ${(options.threshold * 100).toFixed(3)}%), 비교 이미지: ${diffFile}`);
+    return false;
+  }
+  console.log(`  ✓ 골든 이미지와 일치 (다른 픽셀 ${result.diffPixels}개, ${percent}%)`);
+  return true;
+}
+
+/**
+ * 설정 폴더 하나 렌더링 (골든 모드면 비교), 반환: { count, failed }
+ * settings: { output, outputParams, threshold, tolerance, multiple (폴더나 값이 여러 개면 --out을 폴더로) }
+ */
+async function renderFolder(folder, options, settings) {
+  const { output, outputParams, threshold, tolerance } = settings;
+  const local = await loadLocalConfig(folder);
+  const animationFormat = ['gif', 'webp'].includes(output.format) && options.format ? output.format : getAnimationSettings(local.config).format;
+  const animationOutput = normalizeOutputOptions({ ...outputParams, format: animationFormat });
+  const entries = resolveRenderValues(local.config, options);
+  const assets = loadLocalAssets(local, entries.flatMap(entry => [entry.value, entry.previousValue].filter(Boolean)));
+
+  let failed = 0;
+  for (const entry of entries) {
+    const animate = entry.previousValue !== null;
+    const buffer = animate
+      ? await renderAnimation(local.config, entry.previousValue, entry.value, assets, { output: animationOutput })
+      : await render(local.config, entry.value, assets, { output });
+    const extension = animate ? animationOutput.format : output.format;
+    const outputFile = getOutputFile(options.out, local.name, entry.label, extension, settings.multiple || entries.length > 1);
+    const fileName = path.basename(outputFile);
+
+    if (!options.golden || options.out) {
+      fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+      fs.writeFileSync(outputFile, buffer);
+    }
+    console.log(`${fileName}: ${buffer.length} bytes${!options.golden || options.out ? ` → ${outputFile}` : ''}`);
+
+    if (options.golden) {
+      const goldenFile = path.resolve(options.golden, fileName);
+      if (options.update) {
+        fs.mkdirSync(path.dirname(goldenFile), { recursive: true });
+        fs.writeFileSync(goldenFile, buffer);
+        console.log(`  골든 이미지 저장: ${goldenFile}`);
+      } else {
+        // 비교 이미지는 --out이 있으면 출력 파일 옆, 없으면 임시 폴더
+        const diffFile = options.out ? `${outputFile}.diff.png` : path.join(DIFF_DIR, `${fileName}.diff.png`);
+        if (!await checkGolden(buffer, goldenFile, diffFile, { threshold, tolerance })) {
+          failed++;
+        }
+      }
+    }
+  }
+  return { count: entries.length, failed };
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { options, folders } = parsed;
+  if (options.help || folders.length === 0) {
+    (options.help ? console.log : console.error)(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const outputParams = { quality: options.quality, scale: options.scale, lossless: options.lossless };
+  const settings = {
+    output: normalizeOutputOptions({ ...outputParams, format: options.format || 'png' }),
+    outputParams,
+    threshold: parseNumberOption(options.threshold, 'threshold', 1),
+    tolerance: parseNumberOption(options.tolerance, 'tolerance', 255),
+    multiple: folders.length > 1
+  };
+
+  let count = 0;
+  let failed = 0;
+  for (const folder of folders) {
+    const result = await renderFolder(folder, options, settings);
+    count += result.count;
+    failed += result.failed;
+  }
+
+  if (options.golden && !options.update) {
+    console.log(failed > 0 ? `골든 이미지 비교 실패: ${failed}/${count}` : `골든 이미지 비교 통과: ${count}개`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`오류: ${error.message}`);
+    process.exitCode = 1;
+  });
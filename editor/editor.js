@@ -0,0 +1,270 @@
+/**
+ * 호감도 창 레이아웃 편집기
+ * 설정/업로드 파일을 POST /render로 보내 미리보기를 그리고, 요소를 드래그해 layout.x/y를 수정
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'affection-editor-config';
+  const SAMPLE_CONFIG = {
+    characterName: '캐릭터',
+    maxAffection: 100,
+    container: {
+      layout: { width: 400, height: 200 },
+      styles: { backgroundColor: '#f0f0f0', borderWidth: 2, borderColor: '#333', borderRadius: 10 }
+    },
+    characterNameStyle: { layout: { x: 10, y: 10 }, styles: { fontSize: 20, fontWeight: 'bold', color: '#000000' } },
+    characterImage: { layout: { x: 10, y: 50, width: 100, height: 100 }, styles: { borderRadius: 50 } },
+    affectionValue: { layout: { x: 200, y: 100 }, styles: { fontSize: 18, color: '#333' }, format: 'fraction' },
+    affectionBar: { layout: { x: 200, y: 120, width: 180, height: 20 }, styles: { fillColor: '#4CAF50' } }
+  };
+
+  const $ = id => document.getElementById(id);
+  const configInput = $('config');
+  const valueRange = $('valueRange');
+  const valueInput = $('value');
+  const formatSelect = $('outputFormat');
+  const stage = $('stage');
+  const preview = $('preview');
+  const status = $('status');
+  const issues = $('issues');
+
+  // 서명 URL을 쓰는 서버: POST /sign { path: '/render' }로 받은 exp, sig를 편집기 주소에 붙여 열면 미리보기 요청에 전달
+  const pageParams = new URLSearchParams(location.search);
+  const renderUrl = pageParams.has('sig')
+    ? `../render?${new URLSearchParams({ exp: pageParams.get('exp') || '', sig: pageParams.get('sig') })}`
+    : '../render';
+
+  const uploads = { image: null, images: {}, fonts: {} };
+  let renderId = 0;
+  let renderTimer = null;
+
+  function setStatus(message, isError = false) {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  function parseConfig() {
+    try {
+      const config = JSON.parse(configInput.value);
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('최상위는 객체여야 합니다');
+      }
+      return config;
+    } catch (error) {
+      setStatus(`JSON 오류: ${error.message}`, true);
+      return null;
+    }
+  }
+
+  function writeConfig(config) {
+    configInput.value = JSON.stringify(config, null, 2);
+    localStorage.setItem(STORAGE_KEY, configInput.value);
+  }
+
+  function syncValueRange(config) {
+    const max = typeof config.maxAffection === 'number' && config.maxAffection > 0 ? config.maxAffection : 100;
+    const min = typeof config.minAffection === 'number' && config.minAffection < max ? config.minAffection : 0;
+    valueRange.min = String(min);
+    valueRange.max = String(max);
+  }
+
+  function scheduleRender(delay = 250) {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, delay);
+  }
+
+  async function render() {
+    const config = parseConfig();
+    if (!config) return;
+    syncValueRange(config);
+
+    const id = ++renderId;
+    setStatus('렌더링 중...');
+    let data;
+    let response;
+    try {
+      response = await fetch(renderUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+          config,
+          value: Number(valueInput.value) || 0,
+          image: uploads.image,
+          images: uploads.images,
+          fonts: uploads.fonts,
+          output: { format: formatSelect.value }
+        })
+      });
+      data = await response.json();
+    } catch (error) {
+      if (id === renderId) setStatus(`요청 실패: ${error.message}`, true);
+      return;
+    }
+    // 더 최근 요청이 있으면 무시
+    if (id !== renderId) return;
+    if (!response.ok) {
+      setStatus(data.error || `HTTP ${response.status}`, true);
+      return;
+    }
+
+    const [result] = data.images;
+    preview.src = result.data;
+    preview.width = result.width;
+    preview.height = result.height;
+    drawBoxes(result.elements);
+    showIssues(data.validation);
+    setStatus(`${result.width}×${result.height}${result.tier ? `, 단계: ${result.tier}` : ''}`);
+  }
+
+  function showIssues(validation) {
+    issues.innerHTML = '';
+    const entries = [
+      ...validation.errors.map(issue => ['error', issue]),
+      ...validation.warnings.map(issue => ['warning', issue])
+    ];
+    entries.forEach(([level, issue]) => {
+      const item = document.createElement('li');
+      item.className = level;
+      item.textContent = `${issue.path}: ${issue.message}`;
+      issues.appendChild(item);
+    });
+  }
+
+  function drawBoxes(elements) {
+    stage.querySelectorAll('.box').forEach(box => box.remove());
+    elements.forEach(element => {
+      const { x, y, width, height } = element.bounds;
+      const box = document.createElement('div');
+      box.className = 'box';
+      box.style.left = `${x}px`;
+      box.style.top = `${y}px`;
+      box.style.width = `${Math.max(width, 4)}px`;
+      box.style.height = `${Math.max(height, 4)}px`;
+
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = `${element.id || element.type} (${element.anchor.x}, ${element.anchor.y})`;
+      box.appendChild(tag);
+
+      if (element.layoutPath) {
+        enableDrag(box, element);
+      } else {
+        box.classList.add('locked');
+      }
+      stage.appendChild(box);
+    });
+  }
+
+  /**
+   * 설정에서 경로의 객체를 가져오기 (없으면 생성)
+   */
+  function getOrCreate(config, layoutPath) {
+    return layoutPath.reduce((target, key) => {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      return target[key];
+    }, config);
+  }
+
+  function enableDrag(box, element) {
+    box.addEventListener('pointerdown', event => {
+      event.preventDefault();
+      box.setPointerCapture(event.pointerId);
+      box.classList.add('dragging');
+      // 미리보기 픽셀 → 설정 좌표 (출력 배율 1 기준)
+      const ratio = preview.naturalWidth / preview.clientWidth || 1;
+      const startX = event.clientX;
+      const startY = event.clientY;
+      let dx = 0;
+      let dy = 0;
+
+      const onMove = moveEvent => {
+        dx = Math.round((moveEvent.clientX - startX) * ratio);
+        dy = Math.round((moveEvent.clientY - startY) * ratio);
+        box.style.transform = `translate(${dx / ratio}px, ${dy / ratio}px)`;
+      };
+      const onUp = () => {
+        box.removeEventListener('pointermove', onMove);
+        box.removeEventListener('pointerup', onUp);
+        box.removeEventListener('pointercancel', onUp);
+        box.classList.remove('dragging');
+        if (dx === 0 && dy === 0) return;
+
+        const config = parseConfig();
+        if (!config) return;
+        const layout = getOrCreate(config, element.layoutPath);
+        layout.x = element.anchor.x + dx;
+        layout.y = element.anchor.y + dy;
+        writeConfig(config);
+        render();
+      };
+
+      box.addEventListener('pointermove', onMove);
+      box.addEventListener('pointerup', onUp);
+      box.addEventListener('pointercancel', onUp);
+    });
+  }
+
+  // 입력 이벤트
+  configInput.addEventListener('input', () => {
+    localStorage.setItem(STORAGE_KEY, configInput.value);
+    scheduleRender(500);
+  });
+  valueRange.addEventListener('input', () => {
+    valueInput.value = valueRange.value;
+    scheduleRender(100);
+  });
+  valueInput.addEventListener('input', () => {
+    valueRange.value = valueInput.value;
+    scheduleRender(250);
+  });
+  formatSelect.addEventListener('change', () => scheduleRender(0));
+
+  $('image').addEventListener('change', async event => {
+    const [file] = event.target.files;
+    uploads.image = file ? await readFileAsDataUrl(file) : null;
+    scheduleRender(0);
+  });
+  $('images').addEventListener('change', async event => {
+    uploads.images = {};
+    for (const file of event.target.files) {
+      uploads.images[file.name] = await readFileAsDataUrl(file);
+    }
+    scheduleRender(0);
+  });
+  $('fonts').addEventListener('change', async event => {
+    uploads.fonts = {};
+    for (const file of event.target.files) {
+      uploads.fonts[file.name] = await readFileAsDataUrl(file);
+    }
+    scheduleRender(0);
+  });
+
+  $('format').addEventListener('click', () => {
+    const config = parseConfig();
+    if (config) writeConfig(config);
+  });
+  $('download').addEventListener('click', () => {
+    const config = parseConfig();
+    if (!config) return;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' }));
+    link.download = 'setting.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  configInput.value = localStorage.getItem(STORAGE_KEY) || JSON.stringify(SAMPLE_CONFIG, null, 2);
+  render();
+})();
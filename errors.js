@@ -0,0 +1,65 @@
+/**
+ * HTTP 상태가 있는 오류 (서버 응답 코드로 변환, 렌더링 워커와 주고받을 수 있음)
+ */
+
+// HTTP 상태별 기본 오류 코드
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+/**
+ * HTTP 오류 (status: 응답 상태, code: 오류 코드, 기본값: 상태별 코드)
+ */
+function createHttpError(status, message, code = ERROR_CODES[status]) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.expose = true;
+  return error;
+}
+
+/**
+ * 잘못된 요청 오류 (400)
+ */
+function createBadRequestError(message) {
+  return createHttpError(400, message);
+}
+
+/**
+ * 서명 오류 (403: 서명이 없거나 틀림, 만료)
+ */
+function createForbiddenError(message) {
+  return createHttpError(403, message);
+}
+
+/**
+ * 워커로 보낼 수 있는 오류 정보 (HTTP 상태/코드 유지)
+ */
+function serializeError(error) {
+  return { message: error.message, stack: error.stack, status: error.status, code: error.code, expose: error.expose };
+}
+
+/**
+ * serializeError 결과 → Error
+ */
+function restoreError(data) {
+  const error = new Error(data.message);
+  Object.assign(error, data);
+  return error;
+}
+
+module.exports = {
+  ERROR_CODES,
+  createHttpError,
+  createBadRequestError,
+  createForbiddenError,
+  serializeError,
+  restoreError
+};
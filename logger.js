@@ -0,0 +1,57 @@
+/**
+ * 구조화 로그 (JSON 한 줄, 요청 ID 포함)
+ * 서버, 렌더링 워커, 렌더러, CLI 공용
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 로그 수준 (LOG_LEVEL: debug | info | warn | error, 없으면 DEBUG=true일 때 debug, 아니면 info)
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEBUG = process.env.DEBUG === 'true';
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : (DEBUG ? 'debug' : 'info');
+
+// 요청 컨텍스트 (비동기 호출을 따라 요청 ID를 전달해 로그에 붙임)
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * 구조화 로그 한 줄 출력 (JSON, warn 이상은 stderr)
+ * scope: 분류 (예: '폰트', '이미지'), fields: 추가 필드 (값이 undefined인 필드는 생략)
+ * 요청 처리 중이면 requestId를 붙임 (fields.requestId가 있으면 그 값 사용)
+ */
+function writeLog(level, scope, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, scope, msg: message, requestId: context ? context.requestId : undefined };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) {
+      entry[key] = value;
+    }
+  });
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const log = {
+  debug: (scope, message, fields) => writeLog('debug', scope, message, fields),
+  info: (scope, message, fields) => writeLog('info', scope, message, fields),
+  warn: (scope, message, fields) => writeLog('warn', scope, message, fields),
+  error: (scope, message, fields) => writeLog('error', scope, message, fields)
+};
+
+/**
+ * 로그용 시간 (ms, 소수 둘째 자리)
+ */
+function roundMs(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+module.exports = {
+  DEBUG,
+  LOG_LEVELS,
+  LOG_LEVEL,
+  requestContext,
+  writeLog,
+  log,
+  roundMs
+};
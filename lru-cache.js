@@ -0,0 +1,69 @@
+/**
+ * LRU 캐시 생성 (maxEntries: 최대 항목 수, maxSize: 최대 크기 합계, ttl: 항목 유효 시간 ms, 0이면 무제한)
+ */
+function createLruCache({ maxEntries = 500, maxSize = Infinity, ttl = 0 } = {}) {
+  const entries = new Map(); // key → { value, size, expires }
+  const stats = { hits: 0, misses: 0 };
+  let totalSize = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalSize -= entry.size;
+      entries.delete(key);
+    }
+    return Boolean(entry);
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || (entry.expires && entry.expires <= Date.now())) {
+        if (entry) remove(key);
+        stats.misses++;
+        return undefined;
+      }
+      // 최근 사용 항목을 맨 뒤로 이동
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+
+    set(key, value, size = 1) {
+      remove(key);
+      if (size > maxSize) {
+        return;
+      }
+      entries.set(key, { value, size, expires: ttl ? Date.now() + ttl : 0 });
+      totalSize += size;
+      // 오래된 항목부터 제거
+      for (const oldestKey of entries.keys()) {
+        if (entries.size <= maxEntries && totalSize <= maxSize) break;
+        remove(oldestKey);
+      }
+    },
+
+    delete: remove,
+
+    /**
+     * 조건에 맞는 키 모두 삭제, 삭제한 개수 반환
+     */
+    deleteWhere(predicate) {
+      let count = 0;
+      [...entries.keys()].forEach(key => {
+        if (predicate(key)) {
+          remove(key);
+          count++;
+        }
+      });
+      return count;
+    },
+
+    stats() {
+      return { entries: entries.size, size: totalSize, ...stats };
+    }
+  };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,113 @@
+/**
+ * 렌더링 작업 실행 (서버의 렌더링 워커 스레드, RENDER_WORKERS=0이면 메인 스레드에서 runRenderTask 직접 호출)
+ * 워커로 실행되면 메시지 { id, task }를 받아 { id, result } 또는 { id, error }로 응답
+ */
+const { loadImage } = require('@napi-rs/canvas');
+const { performance } = require('perf_hooks');
+const { isMainThread, parentPort } = require('worker_threads');
+const { log, roundMs, requestContext } = require('./logger');
+const { createBadRequestError, serializeError } = require('./errors');
+const { createLruCache } = require('./lru-cache');
+const { renderAffectionWindow, renderAffectionAnimation, composePartyCanvas, encodeCanvas } = require('./renderer');
+
+const IMAGE_CACHE_MAX_MB = Number(process.env.IMAGE_CACHE_MAX_MB ?? 128);
+
+// 디코딩된 이미지 캐시 (렌더링 스레드마다, 키: 원본 해시)
+const decodedImageCache = createLruCache({ maxEntries: 200, maxSize: IMAGE_CACHE_MAX_MB * 1024 * 1024 });
+
+/**
+ * 렌더링 작업 이미지 디코딩 (스레드별 캐시)
+ * field가 있으면(업로드한 이미지) 읽을 수 없을 때 400, 없으면 경고 후 이미지 없이 진행
+ */
+async function decodeTaskImage(image) {
+  if (!image) {
+    return null;
+  }
+  const cached = decodedImageCache.get(image.hash);
+  if (cached) {
+    return cached;
+  }
+  try {
+    const decoded = await loadImage(Buffer.from(image.buffer.buffer, image.buffer.byteOffset, image.buffer.byteLength));
+    decodedImageCache.set(image.hash, decoded, decoded.width * decoded.height * 4);
+    return decoded;
+  } catch (error) {
+    if (image.field) {
+      throw createBadRequestError(`${image.field}: 이미지를 읽을 수 없습니다 (${error.message})`);
+    }
+    log.error('이미지', '디코딩 실패', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * 렌더링 작업 이미지 목록 디코딩 ({ src: 작업 이미지 } → { src: Image })
+ */
+async function decodeTaskImages(images = {}) {
+  const decoded = {};
+  for (const [src, image] of Object.entries(images)) {
+    decoded[src] = await decodeTaskImage(image);
+  }
+  return decoded;
+}
+
+/**
+ * 렌더링 작업 실행 (워커 또는 메인 스레드, 작업은 워커로 복사할 수 있는 데이터만 포함)
+ * { type: 'window', config, value, previousValue, image, extraImages, fonts, output, elementBounds } → { buffer, contentType, width, height, elements }
+ * { type: 'animation', config, previousValue, value, image, extraImages, fonts, output } → { buffer, contentType }
+ * { type: 'party', members: [{ config, value, image, extraImages, fonts }], layout, styles, output } → { buffer, contentType }
+ * image/extraImages: { hash, buffer, field? } (getTaskImage)
+ * 결과에는 단계별 시간 timings: { render, encode } (ms)도 포함
+ */
+async function runRenderTask(task) {
+  const { output } = task;
+  const renderStart = performance.now();
+  if (task.type === 'party') {
+    const cells = [];
+    for (const member of task.members) {
+      cells.push(await renderAffectionWindow(member.config, member.value, await decodeTaskImage(member.image), await decodeTaskImages(member.extraImages), {
+        scale: output.scale,
+        fonts: member.fonts
+      }));
+    }
+    const canvas = composePartyCanvas(cells, task.layout, task.styles, output.scale);
+    const encodeStart = performance.now();
+    const buffer = encodeCanvas(canvas, output);
+    return { buffer, contentType: output.contentType, timings: { render: encodeStart - renderStart, encode: performance.now() - encodeStart } };
+  }
+
+  const image = await decodeTaskImage(task.image);
+  const extraImages = await decodeTaskImages(task.extraImages);
+  if (task.type === 'animation') {
+    return renderAffectionAnimation(task.config, task.previousValue, task.value, image, extraImages, output, { fonts: task.fonts });
+  }
+
+  const elements = [];
+  const canvas = await renderAffectionWindow(task.config, task.value, image, extraImages, {
+    scale: output.scale,
+    fonts: task.fonts,
+    previousValue: task.previousValue ?? undefined,
+    elementBounds: task.elementBounds ? elements : undefined,
+    logTimings: task.logTimings
+  });
+  
+  // 출력 형식으로 변환
+  const encodeStart = performance.now();
+  const buffer = encodeCanvas(canvas, output);
+  const timings = { render: encodeStart - renderStart, encode: performance.now() - encodeStart };
+  log.debug('인코딩', '완료', { format: output.format, ms: roundMs(timings.encode), bytes: buffer.length });
+  return { buffer, contentType: output.contentType, width: canvas.width, height: canvas.height, elements, timings };
+}
+
+if (!isMainThread) {
+  parentPort.on('message', async ({ id, task }) => {
+    try {
+      const result = await requestContext.run({ requestId: task.requestId }, () => runRenderTask(task));
+      parentPort.postMessage({ id, result });
+    } catch (error) {
+      parentPort.postMessage({ id, error: serializeError(error) });
+    }
+  });
+}
+
+module.exports = { runRenderTask };
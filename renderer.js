@@ -0,0 +1,3201 @@
+/**
+ * 호감도 창 렌더러 (설정 + 값 + 이미지/폰트 → 이미지)
+ * 서버 없이 사용할 수 있는 렌더링 핵심: 값 포맷, 요소 그리기, 애니메이션, 파티 합성, 설정 검증
+ *
+ * const { render } = require('./renderer');
+ * const buffer = await render(config, 75, { image: fs.readFileSync('image.webp') }, { output: { format: 'png' } });
+ */
+const crypto = require('crypto');
+const { createCanvas, loadImage, Image, GlobalFonts, GifEncoder, Path2D, DOMMatrix } = require('@napi-rs/canvas');
+const { performance } = require('perf_hooks');
+const { log, roundMs } = require('./logger');
+const { createHttpError, createBadRequestError } = require('./errors');
+
+// 이 스레드에서 등록한 폰트 패밀리 (Set은 스레드마다 따로 있어 워커마다 처음 받은 폰트를 한 번씩 등록, 다른 스레드가 등록한 이름은 processFontFamily에서 GlobalFonts.has로 확인)
+const registeredFonts = new Set();
+
+/**
+ * 폰트 버퍼 등록 (업로드한 폰트, 렌더러 API, 같은 패밀리 이름이면 한 번만 등록)
+ */
+function registerFontFromBuffer(buffer, fontFamily) {
+  if (registeredFonts.has(fontFamily)) {
+    return;
+  }
+  if (!GlobalFonts.register(buffer, fontFamily)) {
+    throw new Error('폰트 파일을 읽을 수 없습니다');
+  }
+  registeredFonts.add(fontFamily);
+  log.info('폰트', '폰트 등록 완료', { family: fontFamily, bytes: buffer.length });
+}
+
+// 기존 fontSettings(mode: 'r2', r2FontFilename) 폰트의 별칭
+const LEGACY_R2_FONT_ALIAS = 'CustomR2Font';
+
+/**
+ * 폰트 굵기 정규화 (normal → 400, bold → 700)
+ */
+function normalizeFontWeight(weight) {
+  if (weight === 'bold' || weight === 'bolder') return 700;
+  if (weight === 'lighter') return 300;
+  const numeric = Number(weight);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 400;
+}
+
+/**
+ * 설정의 폰트 목록 ({ 별칭: [{ file?, family?, weight, style, shared }] })
+ * fonts 맵의 값은 면(face) 하나 또는 배열, 기존 fontSettings의 R2 폰트는 CustomR2Font 별칭으로 추가
+ * shared: 파일을 캐릭터 폴더 대신 버킷 공용 폴더({bucket}/fonts/)에서 가져옴 (테마의 폰트는 기본값 true)
+ */
+function getFontDefinitions(config) {
+  const definitions = {};
+  const fonts = isPlainObject(config.fonts) ? config.fonts : {};
+
+  Object.entries(fonts).forEach(([alias, faces]) => {
+    definitions[alias] = (Array.isArray(faces) ? faces : [faces])
+      .filter(face => isPlainObject(face) && (face.file || face.family))
+      .map(face => ({
+        file: face.file || null,
+        family: face.family || null,
+        weight: normalizeFontWeight(face.weight),
+        style: face.style || 'normal',
+        shared: face.shared === true
+      }));
+  });
+
+  const fontSettings = config.fontSettings || {};
+  if (fontSettings.mode === 'r2' && fontSettings.r2FontFilename && !definitions[LEGACY_R2_FONT_ALIAS]) {
+    definitions[LEGACY_R2_FONT_ALIAS] = [{
+      file: fontSettings.r2FontFilename,
+      family: null,
+      weight: 400,
+      style: 'normal',
+      shared: fontSettings.r2FontShared === true
+    }];
+  }
+  return definitions;
+}
+
+/**
+ * 폰트 파일 등록 (같은 패밀리 이름이면 한 번만 등록)
+ */
+function registerFontFile(file, fontFamily) {
+  if (registeredFonts.has(fontFamily)) {
+    return;
+  }
+  if (!GlobalFonts.registerFromPath(file, fontFamily)) {
+    throw new Error('폰트 파일을 읽을 수 없습니다');
+  }
+  registeredFonts.add(fontFamily);
+}
+
+/**
+ * 설정의 폰트 등록
+ * loadFont(face, alias): 파일 폰트(face.file)를 등록하고 패밀리 이름 반환 (실패하면 예외, 그 면만 빼고 대체 폰트 사용)
+ * 반환: { 별칭: [{ family, weight, style }] } (등록에 성공한 면만 포함)
+ */
+async function loadConfigFonts(config, loadFont) {
+  const definitions = getFontDefinitions(config);
+  const loaded = {};
+
+  await Promise.all(Object.entries(definitions).map(async ([alias, faces]) => {
+    const results = await Promise.all(faces.map(async face => {
+      // 시스템 폰트 별칭
+      if (!face.file) {
+        return { family: face.family, weight: face.weight, style: face.style };
+      }
+      if (face.file.includes('..') || face.file.startsWith('/')) {
+        log.warn('폰트', '잘못된 폰트 파일 이름', { file: face.file });
+        return null;
+      }
+      try {
+        const family = await loadFont(face, alias);
+        return { family, weight: face.weight, style: face.style };
+      } catch (err) {
+        log.warn('폰트', '로드 실패, 대체 폰트를 사용합니다', { alias, file: face.file, error: err.message });
+        return null; // 폰트 로드 실패해도 계속 진행
+      }
+    }));
+
+    const available = results.filter(Boolean);
+    if (available.length > 0) {
+      loaded[alias] = available;
+    }
+  }));
+
+  return loaded;
+}
+
+/**
+ * 파일 이름 → 폰트 버퍼 목록으로 설정의 폰트 등록 (POST /render 업로드, 렌더러 API)
+ * 패밀리 이름은 내용 해시 기반이라 같은 파일은 한 번만 등록
+ */
+function loadFontBuffers(config, buffers) {
+  return loadConfigFonts(config, face => {
+    const buffer = buffers[face.file];
+    if (!buffer) {
+      throw new Error(`폰트 파일이 없습니다: ${face.file}`);
+    }
+    const family = `R2Font_${crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 16)}`;
+    registerFontFromBuffer(buffer, family);
+    return family;
+  });
+}
+
+/**
+ * 별칭의 면 중 요청한 굵기/스타일에 가장 가까운 면 선택
+ */
+function selectFontFace(faces, weight, style) {
+  const wantedWeight = normalizeFontWeight(weight);
+  const wantedStyle = style === 'italic' || style === 'oblique' ? style : 'normal';
+  const sameStyle = faces.filter(face => face.style === wantedStyle);
+  const candidates = sameStyle.length > 0 ? sameStyle : faces;
+
+  return candidates.reduce((best, face) => {
+    const diff = Math.abs(face.weight - wantedWeight);
+    const bestDiff = Math.abs(best.weight - wantedWeight);
+    if (diff !== bestDiff) {
+      return diff < bestDiff ? face : best;
+    }
+    // 거리가 같으면 굵게 요청 시 더 굵은 면, 아니면 더 얇은 면
+    return (wantedWeight > 500) === (face.weight > best.weight) ? face : best;
+  });
+}
+
+// 테마 상속 최대 깊이 (테마가 다른 테마를 extends하는 단계 수)
+const THEME_MAX_DEPTH = 5;
+
+/**
+ * 테마 파일 키 (extends: true 또는 'default' → {bucket}/theme.json, 그 외 이름 → {bucket}/themes/{이름}.json)
+ */
+function getThemeKey(bucket, themeName) {
+  if (themeName === true || themeName === 'default') {
+    return `${bucket}/theme.json`;
+  }
+  if (typeof themeName !== 'string' || !/^[\w-]+$/.test(themeName)) {
+    throw createBadRequestError(`잘못된 테마 이름: ${JSON.stringify(themeName)}`);
+  }
+  return `${bucket}/themes/${themeName}.json`;
+}
+
+/**
+ * 폰트 파일 위치 표시 (shared: 버킷 공용 폰트 {bucket}/fonts/, 아니면 캐릭터 폴더의 fonts/)
+ * 값이 없는 면에만 지정하므로, 병합 후에도 각 면은 자기가 정의된 설정 기준으로 파일을 찾음
+ */
+function markFontSources(config, shared) {
+  const result = { ...config };
+  if (isPlainObject(config.fonts)) {
+    result.fonts = {};
+    Object.entries(config.fonts).forEach(([alias, faces]) => {
+      const mark = face => (isPlainObject(face) && face.file && face.shared === undefined ? { ...face, shared } : face);
+      result.fonts[alias] = Array.isArray(faces) ? faces.map(mark) : mark(faces);
+    });
+  }
+  if (isPlainObject(config.fontSettings) && config.fontSettings.r2FontFilename && config.fontSettings.r2FontShared === undefined) {
+    result.fontSettings = { ...config.fontSettings, r2FontShared: shared };
+  }
+  return result;
+}
+
+/**
+ * extends 상속 적용 (테마 → 설정 순서로 깊게 병합, 설정 값 우선, 배열은 통째로 교체)
+ * extends: 테마 이름 하나 또는 배열 (뒤의 테마가 앞의 테마를 덮어씀), 테마도 extends 가능
+ * loadTheme(key): 테마 파일 읽기 → { data, hash } (getThemeKey의 키)
+ * 반환: { config, themes: [{ name, key, hash }] } (extends가 없으면 설정 그대로)
+ */
+async function resolveConfigInheritance(bucket, config, loadTheme, chain = []) {
+  if (config.extends === undefined || config.extends === false) {
+    return { config, themes: [] };
+  }
+
+  const shared = chain.length > 0;
+  const themeNames = Array.isArray(config.extends) ? config.extends : [config.extends];
+  const themes = [];
+  let merged = {};
+  for (const themeName of themeNames) {
+    const key = getThemeKey(bucket, themeName);
+    if (chain.includes(key)) {
+      throw createHttpError(502, `테마 상속이 순환합니다: ${[...chain, key].join(' → ')}`, 'INVALID_CONFIG');
+    }
+    if (chain.length >= THEME_MAX_DEPTH) {
+      throw createHttpError(502, `테마 상속이 너무 깊습니다 (최대 ${THEME_MAX_DEPTH}단계): ${key}`, 'INVALID_CONFIG');
+    }
+
+    const entry = await loadTheme(key);
+    if (!isPlainObject(entry.data)) {
+      throw createHttpError(502, `테마는 객체여야 합니다: ${key}`, 'INVALID_CONFIG');
+    }
+
+    const parent = await resolveConfigInheritance(bucket, entry.data, loadTheme, [...chain, key]);
+    themes.push(...parent.themes, { name: themeName === true ? 'default' : themeName, key, hash: entry.hash });
+    merged = deepMerge(merged, markFontSources(parent.config, true));
+  }
+
+  const { extends: _extends, ...own } = config;
+  return { config: deepMerge(merged, markFontSources(own, shared)), themes };
+}
+
+// 호감도 값 형식: 정수 또는 소수, 음수 가능 (예: 75, -20, 12.5)
+const AFFECTION_VALUE_PATTERN = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+/**
+ * 호감도 값 파싱 (숫자 형식이 아니면 400 오류)
+ */
+function parseAffectionValue(raw, field = '호감도') {
+  const value = typeof raw === 'string' && AFFECTION_VALUE_PATTERN.test(raw.trim()) ? Number(raw.trim()) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw createBadRequestError(`${field}: 숫자여야 합니다 (현재: ${JSON.stringify(raw)})`);
+  }
+  return value;
+}
+
+// 로케일별 숫자 포맷터 캐시 (`${locale}|${decimals}` → Intl.NumberFormat)
+const numberFormatters = new Map();
+
+/**
+ * 로케일 숫자 포맷터 (잘못된 로케일이면 RangeError)
+ */
+function getNumberFormatter(locale, decimals) {
+  const key = `${locale}|${decimals ?? ''}`;
+  let formatter = numberFormatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.NumberFormat(locale, typeof decimals === 'number'
+      ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+      : { maximumFractionDigits: 2 });
+    numberFormatters.set(key, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * 소수 자릿수 (0~10으로 제한, 숫자가 아니면 undefined)
+ */
+function getDecimalDigits(decimals) {
+  return typeof decimals === 'number' ? Math.min(10, Math.max(0, Math.round(decimals))) : undefined;
+}
+
+/**
+ * 숫자 표시 (decimals: 소수 자릿수, 없으면 소수 둘째 자리까지 필요한 만큼)
+ * locale이 있으면 Intl.NumberFormat으로 자릿수 구분/소수점 기호를 로케일에 맞춤 (예: de → 1.234,5)
+ */
+function formatNumber(value, decimals, locale) {
+  const digits = getDecimalDigits(decimals);
+  if (locale) {
+    // -0 같은 표시 방지
+    const rounded = Number(value.toFixed(digits ?? 2));
+    return getNumberFormatter(locale, digits).format(rounded === 0 ? 0 : value);
+  }
+  const text = digits !== undefined
+    ? value.toFixed(digits)
+    : String(Math.round(value * 100) / 100);
+  // -0.0 같은 표시 방지
+  return Number(text) === 0 ? text.replace(/^-/, '') : text;
+}
+
+/**
+ * 호감도 백분율 (범위가 0을 걸치면 음수는 min 기준, 예: -50/-100 → -50)
+ */
+function getAffectionPercent(value, min, max) {
+  if (min < 0 && value < 0) {
+    return -(value / min) * 100;
+  }
+  if (min < 0) {
+    return (value / max) * 100;
+  }
+  return ((value - min) / (max - min)) * 100;
+}
+
+/**
+ * 설정의 숫자 로케일 (없거나 잘못된 로케일이면 undefined: 로케일 없이 표시)
+ */
+function getConfigLocale(config) {
+  if (typeof config.locale !== 'string' || !config.locale) return undefined;
+  try {
+    getNumberFormatter(config.locale);
+    return config.locale;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// 호감도 수치 기본 형식 (이 외의 format은 템플릿 문자열)
+const VALUE_FORMATS = ['number', 'fraction', 'percent'];
+
+/**
+ * 호감도 값 포맷팅
+ * options.min: 최소 호감도 (기본값: 0), options.decimals: 소수 자릿수 (percent는 기본값 0), options.locale: 숫자 로케일
+ * 범위가 0을 걸치면(min < 0 < max) 음수는 min 기준 (예: -50/-100, -50%)
+ */
+function formatAffectionValue(value, max, format, options = {}) {
+  const { min = 0, decimals, locale } = options;
+  switch (format) {
+    case 'fraction':
+      return `${formatNumber(value, decimals, locale)}/${formatNumber(min < 0 && value < 0 ? min : max, decimals, locale)}`;
+    case 'percent':
+      return `${formatNumber(getAffectionPercent(value, min, max), decimals ?? 0, locale)}%`;
+    default:
+      return formatNumber(value, decimals, locale);
+  }
+}
+
+// 템플릿 자리표시자: {필드} 또는 {스탯 키.필드}, {{ }}는 중괄호 그대로
+const TEMPLATE_PATTERN = /\{\{|\}\}|\{(?:(\w+)\.)?(\w+)\}/g;
+const TEMPLATE_FIELDS = ['value', 'min', 'max', 'percent', 'delta', 'label', 'name', 'tier', 'tierLabel'];
+
+/**
+ * 템플릿 문자열인지 확인 (자리표시자 또는 {{ }}가 있으면 템플릿)
+ */
+function isTextTemplate(text) {
+  return typeof text === 'string' && /\{\{|\}\}|\{(?:\w+\.)?\w+\}/.test(text);
+}
+
+/**
+ * 텍스트 템플릿 채우기
+ * {value} {min} {max} {percent} {delta} {label}: 요소의 스탯(element.stat, 없으면 첫 번째 스탯) 기준, {Trust.value}처럼 스탯 지정 가능
+ * {name}: 캐릭터 이름, {tier}: 단계 name, {tierLabel}: 단계 label (없으면 name)
+ * 알 수 없는 자리표시자는 그대로 둠
+ */
+function renderTextTemplate(template, state, element = {}) {
+  const { config, tier } = state;
+  const locale = getConfigLocale(config);
+  const decimals = element.decimals;
+  return template.replace(TEMPLATE_PATTERN, (match, statKey, field) => {
+    if (match === '{{') return '{';
+    if (match === '}}') return '}';
+    if (!statKey) {
+      if (field === 'name') return typeof config.characterName === 'string' ? config.characterName : '';
+      if (field === 'tier') return tier?.name != null ? String(tier.name) : '';
+      if (field === 'tierLabel') return tier ? String(tier.label ?? tier.name ?? '') : '';
+    }
+    const stat = state.stats[statKey ?? element.stat ?? state.primaryStat];
+    if (!stat) return match;
+    switch (field) {
+      case 'value':
+        return formatNumber(stat.displayValue, decimals, locale);
+      case 'min':
+        return formatNumber(stat.minAffection, decimals, locale);
+      case 'max':
+        return formatNumber(stat.maxAffection, decimals, locale);
+      case 'percent':
+        return formatNumber(getAffectionPercent(stat.displayValue, stat.minAffection, stat.maxAffection), decimals ?? 0, locale);
+      case 'delta': {
+        const delta = stat.displayValue - stat.previousValue;
+        const text = formatNumber(delta, decimals, locale);
+        return Number(delta.toFixed(getDecimalDigits(decimals) ?? 2)) > 0 ? `+${text}` : text;
+      }
+      case 'label':
+        return stat.label;
+      default:
+        return match;
+    }
+  });
+}
+
+/**
+ * 상하좌우/모서리 값 펼치기 (CSS 단축 표기: a | [a, b] | [a, b, c] | [a, b, c, d])
+ * 반환 순서: [위, 오른쪽, 아래, 왼쪽] 또는 [왼쪽 위, 오른쪽 위, 오른쪽 아래, 왼쪽 아래]
+ */
+function expandBoxValues(value) {
+  const values = (Array.isArray(value) ? value : [value]).map(v => Math.max(0, Number(v) || 0));
+  switch (values.length) {
+    case 0: return [0, 0, 0, 0];
+    case 1: return [values[0], values[0], values[0], values[0]];
+    case 2: return [values[0], values[1], values[0], values[1]];
+    case 3: return [values[0], values[1], values[2], values[1]];
+    default: return values.slice(0, 4);
+  }
+}
+
+/**
+ * 둥근 사각형 경로 (모서리별 반지름, 합이 변 길이보다 크면 CSS처럼 비율을 맞춰 줄임)
+ */
+function createRoundRectPath(x, y, width, height, radius) {
+  const [tl, tr, br, bl] = expandBoxValues(radius);
+  const limits = [width / (tl + tr), width / (bl + br), height / (tl + bl), height / (tr + br)]
+    .filter(Number.isFinite);
+  const scale = Math.max(0, Math.min(1, ...limits));
+  const [r1, r2, r3, r4] = [tl, tr, br, bl].map(r => r * scale);
+
+  const path = new Path2D();
+  path.moveTo(x + r1, y);
+  path.lineTo(x + width - r2, y);
+  path.quadraticCurveTo(x + width, y, x + width, y + r2);
+  path.lineTo(x + width, y + height - r3);
+  path.quadraticCurveTo(x + width, y + height, x + width - r3, y + height);
+  path.lineTo(x + r4, y + height);
+  path.quadraticCurveTo(x, y + height, x, y + height - r4);
+  path.lineTo(x, y + r1);
+  path.quadraticCurveTo(x, y, x + r1, y);
+  path.closePath();
+  return path;
+}
+
+/**
+ * 도형 경로 (채우기, 테두리, 클립에 공통 사용)
+ * { type: 'rect', radius } | { type: 'ellipse' } | { type: 'circle' } | { type: 'polygon', points: [[u, v], ...] } | { type: 'path', d, viewBox: [w, h] }
+ * circle은 box 가운데의 원 (지름: 짧은 변)
+ * polygon 좌표는 box 기준 0~1 비율, path는 SVG 경로를 viewBox(기본값 [1, 1])에서 box 크기로 늘림
+ */
+function createShapePath(box, shape) {
+  const { x, y, width, height } = box;
+  const path = new Path2D();
+  switch (shape.type) {
+    case 'ellipse':
+      path.ellipse(x + width / 2, y + height / 2, Math.max(0, width / 2), Math.max(0, height / 2), 0, 0, Math.PI * 2);
+      path.closePath();
+      return path;
+    case 'circle':
+      path.arc(x + width / 2, y + height / 2, Math.max(0, Math.min(width, height) / 2), 0, Math.PI * 2);
+      path.closePath();
+      return path;
+    case 'polygon':
+      (shape.points || []).forEach(([u, v], index) => {
+        const method = index === 0 ? 'moveTo' : 'lineTo';
+        path[method](x + u * width, y + v * height);
+      });
+      path.closePath();
+      return path;
+    case 'path': {
+      const [viewWidth, viewHeight] = Array.isArray(shape.viewBox) ? shape.viewBox : [1, 1];
+      path.addPath(new Path2D(shape.d), new DOMMatrix().translate(x, y).scale(width / viewWidth, height / viewHeight));
+      return path;
+    }
+    default:
+      return createRoundRectPath(x, y, width, height, shape.radius ?? 0);
+  }
+}
+
+/**
+ * 요소 도형 결정 (styles.clipPath: clipPaths의 이름 또는 도형 정의, 없으면 borderRadius 둥근 사각형)
+ */
+function resolveShape(styles, clipPaths, defaultRadius = 0) {
+  const clipPath = styles.clipPath;
+  if (typeof clipPath === 'string') {
+    if (isPlainObject(clipPaths[clipPath])) {
+      return clipPaths[clipPath];
+    }
+    log.warn('도형', 'clipPaths에 없는 이름입니다', { clipPath });
+  } else if (isPlainObject(clipPath)) {
+    return clipPath;
+  }
+  return { type: 'rect', radius: styles.borderRadius ?? defaultRadius };
+}
+
+/**
+ * 안쪽으로 줄인 영역과 도형 (테두리를 선 두께의 절반만큼 안쪽에 그릴 때)
+ */
+function insetShape(box, shape, inset) {
+  const insetBox = {
+    x: box.x + inset,
+    y: box.y + inset,
+    width: box.width - inset * 2,
+    height: box.height - inset * 2
+  };
+  if (shape.type && shape.type !== 'rect') {
+    return { box: insetBox, shape };
+  }
+  const radius = expandBoxValues(shape.radius ?? 0).map(r => Math.max(0, r - inset));
+  return { box: insetBox, shape: { ...shape, radius } };
+}
+
+/**
+ * 색상 또는 그라디언트 정의 → fillStyle/strokeStyle
+ * { type: 'linear', angle, stops } (angle: CSS처럼 0 = 위쪽, 90 = 오른쪽, 기본값 180)
+ * { type: 'radial', stops, center: [u, v], radius } (box 기준 비율, 기본값 가운데 / 0.5)
+ * stops: 색상 문자열(균등 배치) 또는 { offset, color }
+ */
+function resolvePaint(ctx, paint, box) {
+  if (!isPlainObject(paint)) {
+    return paint;
+  }
+
+  let gradient;
+  if (paint.type === 'radial') {
+    const [u, v] = Array.isArray(paint.center) ? paint.center : [0.5, 0.5];
+    const centerX = box.x + box.width * u;
+    const centerY = box.y + box.height * v;
+    const radius = Math.max(box.width, box.height) * (paint.radius ?? 0.5);
+    gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, Math.max(0, radius));
+  } else {
+    const angle = ((paint.angle ?? 180) * Math.PI) / 180;
+    const dx = Math.sin(angle);
+    const dy = -Math.cos(angle);
+    const half = (Math.abs(box.width * dx) + Math.abs(box.height * dy)) / 2;
+    const centerX = box.x + box.width / 2;
+    const centerY = box.y + box.height / 2;
+    gradient = ctx.createLinearGradient(centerX - dx * half, centerY - dy * half, centerX + dx * half, centerY + dy * half);
+  }
+
+  const stops = Array.isArray(paint.stops) ? paint.stops : [];
+  stops.forEach((stop, index) => {
+    const offset = isPlainObject(stop) ? stop.offset : (stops.length > 1 ? index / (stops.length - 1) : 0);
+    const color = isPlainObject(stop) ? stop.color : stop;
+    gradient.addColorStop(Math.min(1, Math.max(0, offset ?? 0)), color);
+  });
+  return gradient;
+}
+
+/**
+ * 이미지를 영역에 맞춰 그리기 (cover: 잘라서 채움, contain: 전체 보이게, fill: 늘림)
+ * options.position: 남거나 잘리는 부분의 기준점 [u, v] (0~1, 기본값 가운데, cover에서는 초점)
+ * options.crop: 원본에서 사용할 영역 { x, y, width, height } (픽셀)
+ */
+function drawImageFit(ctx, image, box, fit = 'cover', options = {}) {
+  const crop = options.crop ? clampCrop(options.crop, image) : null;
+  const source = crop || { x: 0, y: 0, width: image.width, height: image.height };
+  const draw = (x, y, width, height) => {
+    if (crop) {
+      ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, x, y, width, height);
+    } else {
+      ctx.drawImage(image, x, y, width, height);
+    }
+  };
+  if (fit === 'fill') {
+    draw(box.x, box.y, box.width, box.height);
+    return;
+  }
+  const scale = fit === 'contain'
+    ? Math.min(box.width / source.width, box.height / source.height)
+    : Math.max(box.width / source.width, box.height / source.height);
+  const width = source.width * scale;
+  const height = source.height * scale;
+  const [u, v] = Array.isArray(options.position) ? options.position : [0.5, 0.5];
+  draw(box.x + (box.width - width) * (u ?? 0.5), box.y + (box.height - height) * (v ?? 0.5), width, height);
+}
+
+/**
+ * 자르기 영역을 이미지 안으로 제한 (벗어나면 겹치는 부분만, 겹치지 않으면 전체)
+ */
+function clampCrop(crop, image) {
+  const x = Math.min(image.width, Math.max(0, crop.x ?? 0));
+  const y = Math.min(image.height, Math.max(0, crop.y ?? 0));
+  const width = Math.min(image.width - x, crop.width ?? image.width - x);
+  const height = Math.min(image.height - y, crop.height ?? image.height - y);
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+/**
+ * 프레임 그리기 (frame.image: 캐릭터 폴더의 나인 슬라이스 이미지)
+ */
+function drawFrame(ctx, frame, box, images) {
+  const image = images[frame.image];
+  if (!image) {
+    log.warn('이미지', '프레임 이미지가 없습니다', { src: frame.image });
+    return;
+  }
+  drawNineSlice(ctx, image, box, frame);
+}
+
+/**
+ * 나인 슬라이스 그리기 (모서리는 그대로, 변은 늘이고, fill이면 가운데도 채움)
+ * frame.slice: 원본 이미지에서 자를 두께 (기본값: 짧은 변의 1/3), frame.width: 그릴 테두리 두께 (기본값: slice), 둘 다 [위, 오른쪽, 아래, 왼쪽] 단축 표기 가능
+ */
+function drawNineSlice(ctx, image, box, frame) {
+  const slice = frame.slice ?? Math.floor(Math.min(image.width, image.height) / 3);
+  const [sliceTop, sliceRight, sliceBottom, sliceLeft] = expandBoxValues(slice);
+  const [top, right, bottom, left] = expandBoxValues(frame.width ?? slice);
+  const sourceX = [0, sliceLeft, image.width - sliceRight, image.width];
+  const sourceY = [0, sliceTop, image.height - sliceBottom, image.height];
+  const targetX = [box.x, box.x + left, box.x + box.width - right, box.x + box.width];
+  const targetY = [box.y, box.y + top, box.y + box.height - bottom, box.y + box.height];
+
+  for (let row = 0; row < 3; row++) {
+    for (let column = 0; column < 3; column++) {
+      if (row === 1 && column === 1 && !frame.fill) continue;
+      const sw = sourceX[column + 1] - sourceX[column];
+      const sh = sourceY[row + 1] - sourceY[row];
+      const dw = targetX[column + 1] - targetX[column];
+      const dh = targetY[row + 1] - targetY[row];
+      if (sw > 0 && sh > 0 && dw > 0 && dh > 0) {
+        ctx.drawImage(image, sourceX[column], sourceY[row], sw, sh, targetX[column], targetY[row], dw, dh);
+      }
+    }
+  }
+}
+
+/**
+ * 출력 형식별 Content-Type
+ */
+const OUTPUT_FORMATS = {
+  webp: 'image/webp',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+
+const DEFAULT_OUTPUT = { format: 'webp', contentType: 'image/webp', quality: 80, lossless: false, scale: 1 };
+
+/**
+ * 출력 형식 이름 정규화 (jpg → jpeg, 지원하지 않으면 null)
+ */
+function normalizeOutputFormat(format) {
+  const normalized = String(format || '').toLowerCase().replace(/^image\//, '');
+  const resolved = normalized === 'jpg' ? 'jpeg' : normalized;
+  return OUTPUT_FORMATS[resolved] ? resolved : null;
+}
+
+/**
+ * 출력 옵션 정규화 (잘못된 값이면 400 오류)
+ * params: { format, quality, scale, lossless } (문자열 가능), defaultFormat: format이 없을 때 형식
+ * explicit: 형식을 직접 지정했는지 (애니메이션은 지정한 경우에만 gif/webp 형식을 따름)
+ */
+function normalizeOutputOptions(params = {}, defaultFormat = DEFAULT_OUTPUT.format) {
+  const requested = params.format;
+  let format = defaultFormat;
+  if (requested) {
+    format = normalizeOutputFormat(requested);
+    if (!format) {
+      throw createBadRequestError(`지원하지 않는 출력 형식입니다: ${requested} (지원: ${Object.keys(OUTPUT_FORMATS).join(', ')}, jpg)`);
+    }
+  }
+
+  const quality = params.quality !== undefined ? Number(params.quality) : DEFAULT_OUTPUT.quality;
+  if (!Number.isFinite(quality) || quality < 0 || quality > 100) {
+    throw createBadRequestError(`quality는 0~100 사이의 숫자여야 합니다: ${params.quality}`);
+  }
+
+  const scale = params.scale !== undefined ? Number(params.scale) : DEFAULT_OUTPUT.scale;
+  if (!Number.isFinite(scale) || scale <= 0 || scale > 4) {
+    throw createBadRequestError(`scale은 0보다 크고 4 이하인 숫자여야 합니다: ${params.scale}`);
+  }
+
+  const lossless = params.lossless === true || params.lossless === 'true' || params.lossless === '1' || (format === 'webp' && quality === 100);
+
+  return {
+    format,
+    contentType: OUTPUT_FORMATS[format],
+    quality: Math.round(quality),
+    lossless,
+    scale,
+    explicit: Boolean(requested)
+  };
+}
+
+/**
+ * Canvas를 출력 형식으로 인코딩
+ */
+function encodeCanvas(canvas, output = DEFAULT_OUTPUT) {
+  switch (output.format) {
+    case 'png':
+      return canvas.toBuffer('image/png');
+    case 'jpeg': {
+      // JPEG는 투명도를 지원하지 않으므로 흰 배경 위에 합성
+      const flattened = createCanvas(canvas.width, canvas.height);
+      const ctx = flattened.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(canvas, 0, 0);
+      return flattened.toBuffer('image/jpeg', output.quality);
+    }
+    case 'avif':
+      return canvas.toBuffer('image/avif', { quality: output.lossless ? 100 : output.quality, speed: 8 });
+    case 'gif':
+      return canvas.toBuffer('image/gif');
+    default:
+      // WebP는 quality 100이면 무손실
+      return canvas.toBuffer('image/webp', output.lossless ? 100 : output.quality);
+  }
+}
+
+/**
+ * 텍스트 줄 나누기 (줄바꿈 문자 + 단어 단위, 한 단어가 maxWidth보다 길면 글자 단위)
+ * ctx의 현재 폰트로 너비를 측정
+ */
+function wrapTextLines(ctx, text, maxWidth) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const testLine = line + (line ? ' ' : '') + word;
+      if (ctx.measureText(testLine).width <= maxWidth) {
+        line = testLine;
+        return;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      // 공백 없이 긴 단어(한국어 이름 등)는 글자 단위로 나누기
+      line = '';
+      for (const char of word) {
+        if (line && ctx.measureText(line + char).width > maxWidth) {
+          lines.push(line);
+          line = char;
+        } else {
+          line += char;
+        }
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// 에러 이미지 크기 (설정이 없거나 컨테이너 크기가 잘못되었을 때 기본 창 크기, 최대 크기)
+const ERROR_IMAGE_DEFAULT_SIZE = { width: 400, height: 200 };
+const ERROR_IMAGE_MAX_SIZE = 2000;
+
+/**
+ * 에러 이미지 생성
+ * options.config: 캐릭터 설정 (있으면 컨테이너 크기, 배경, 테두리, 모양과 defaultStyle.color를 사용)
+ * options.status: 제목에 함께 표시할 HTTP 상태
+ */
+function createErrorImage(message, output = DEFAULT_OUTPUT, options = {}) {
+  try {
+    const config = isPlainObject(options.config) ? options.config : {};
+    const container = isPlainObject(config.container) ? config.container : {};
+    const containerStyles = isPlainObject(container.styles) ? container.styles : {};
+    const layout = isPlainObject(container.layout) ? container.layout : {};
+    const [width, height] = ['width', 'height'].map(field => {
+      const size = layout[field];
+      return typeof size === 'number' && size > 0 ? Math.min(size, ERROR_IMAGE_MAX_SIZE) : ERROR_IMAGE_DEFAULT_SIZE[field];
+    });
+    const scale = output.scale || 1;
+    const canvas = createCanvas(Math.round(width * scale), Math.round(height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    
+    // 배경과 테두리 (호감도 창과 같은 방식)
+    const box = { x: 0, y: 0, width, height };
+    const shape = resolveShape(containerStyles, isPlainObject(config.clipPaths) ? config.clipPaths : {}, 10);
+    ctx.fillStyle = resolvePaint(ctx, containerStyles.backgroundColor ?? '#f0f0f0', box);
+    ctx.fill(createShapePath(box, shape));
+    const borderWidth = typeof containerStyles.borderWidth === 'number' ? containerStyles.borderWidth : 2;
+    if (borderWidth > 0) {
+      const inset = insetShape(box, shape, borderWidth / 2);
+      ctx.strokeStyle = resolvePaint(ctx, containerStyles.borderColor ?? '#333', box);
+      ctx.lineWidth = borderWidth;
+      ctx.stroke(createShapePath(inset.box, inset.shape));
+    }
+    
+    // 에러 텍스트 (창 높이에 맞춰 글자 크기를 정하고, 넘치는 줄은 말줄임)
+    const padding = borderWidth + 10;
+    const titleSize = Math.max(12, Math.min(36, Math.round(height * 0.16)));
+    const textSize = Math.max(10, Math.min(18, Math.round(height * 0.08)));
+    const lineHeight = Math.round(textSize * 1.3);
+    const maxLines = Math.max(1, Math.floor((height - padding * 2 - titleSize * 1.4) / lineHeight));
+    
+    ctx.font = `${textSize}px sans-serif`;
+    let lines = wrapTextLines(ctx, message || 'Unknown error', width - padding * 2);
+    if (lines.length > maxLines) {
+      lines = lines.slice(0, maxLines);
+      lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, -1)}…`;
+    }
+    
+    const top = Math.max(padding, (height - titleSize * 1.4 - lines.length * lineHeight) / 2);
+    ctx.fillStyle = typeof config.defaultStyle?.color === 'string' ? config.defaultStyle.color : '#333';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = `bold ${titleSize}px sans-serif`;
+    ctx.fillText(options.status ? `Error ${options.status}` : 'Error', width / 2, top);
+    ctx.font = `${textSize}px sans-serif`;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, width / 2, top + titleSize * 1.4 + index * lineHeight);
+    });
+    
+    // 요청 형식으로 변환 시도, 실패하면 PNG로 fallback
+    try {
+      return { buffer: encodeCanvas(canvas, output), contentType: output.contentType };
+    } catch (encodeError) {
+      log.error('에러 이미지', '변환 실패, PNG로 fallback', { format: output.format, error: encodeError.message });
+      return { buffer: canvas.toBuffer('image/png'), contentType: 'image/png' };
+    }
+  } catch (error) {
+    log.error('에러 이미지', '생성 실패', { error: error.message });
+    const { width, height } = ERROR_IMAGE_DEFAULT_SIZE;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#C5C5C5';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = '#000000';
+    ctx.font = 'bold 36px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Error', width / 2, height / 2);
+    return { buffer: canvas.toBuffer('image/png'), contentType: 'image/png' };
+  }
+}
+
+// 별도 등록 없이 사용할 수 있는 폰트 (일반 패밀리 포함)
+const SYSTEM_FONTS = ['sans-serif', 'serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'Arial', 'Times New Roman', 'Courier New', 'Helvetica', 'Verdana'];
+
+/**
+ * 폰트 패밀리 목록 문자열 분리 ("a, 'b c'" → ['a', 'b c'])
+ */
+function splitFontFamilies(fontFamily) {
+  return String(fontFamily || '')
+    .split(',')
+    .map(family => family.replace(/['"]/g, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * 폰트 패밀리 처리 (textinput 방식)
+ * fonts: loadConfigFonts 결과 (별칭 → 등록된 면 목록)
+ * 반환: 쉼표로 구분된 대체 목록 (별칭 → 등록된 패밀리, 사용할 수 없는 이름은 제외, 마지막은 sans-serif)
+ */
+function processFontFamily(style, defaultStyle, fontSettings, elementType, fonts = {}) {
+  // 기본 폰트 패밀리 가져오기 (textinput 방식: style.fontFamily 우선, 없으면 defaultStyle.fontFamily)
+  let fontFamily = style.fontFamily || defaultStyle.fontFamily || 'sans-serif';
+  
+  // elementType에 따라 fontSettings에서 폰트 패밀리 가져오기 (style에 없을 때만)
+  if (!style.fontFamily) {
+    if (elementType === 'name' && fontSettings.nameFontFamily) {
+      fontFamily = fontSettings.nameFontFamily;
+    } else if (elementType === 'value' && fontSettings.valueFontFamily) {
+      fontFamily = fontSettings.valueFontFamily;
+    }
+  }
+
+  const candidates = [...splitFontFamilies(fontFamily), ...splitFontFamilies(defaultStyle.fontFamily), 'sans-serif'];
+
+  // R2 폰트 사용 여부 (폰트가 실제로 등록되었을 때만): R2 폰트를 첫 번째로, 원래 fontFamily를 fallback으로 (textinput 방식)
+  if (fontSettings.mode === 'r2' && fonts[LEGACY_R2_FONT_ALIAS]) {
+    candidates.unshift(LEGACY_R2_FONT_ALIAS);
+  }
+
+  const chain = [];
+  candidates.forEach(candidate => {
+    let family = null;
+    if (fonts[candidate]) {
+      family = selectFontFace(fonts[candidate], style.fontWeight, style.fontStyle).family;
+    } else if (SYSTEM_FONTS.some(font => font.toLowerCase() === candidate.toLowerCase()) ||
+               registeredFonts.has(candidate) || GlobalFonts.has(candidate)) {
+      family = candidate;
+    } else {
+      log.debug('폰트', '등록되지 않은 폰트 이름은 건너뜁니다', { family: candidate });
+    }
+    if (family && !chain.includes(family)) {
+      chain.push(family);
+    }
+  });
+
+  return chain.join(', ');
+}
+
+/**
+ * 객체 깊은 병합 (일반 객체만 재귀 병합, 배열/값은 source가 덮어씀)
+ */
+function deepMerge(target, source) {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return source === undefined ? target : source;
+  }
+  const result = { ...target };
+  Object.keys(source).forEach(key => {
+    result[key] = deepMerge(target[key], source[key]);
+  });
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 호감도 값에 해당하는 단계(tier) 찾기 (min/max 포함, 먼저 선언된 단계 우선)
+ */
+function resolveTier(config, value) {
+  if (!Array.isArray(config.tiers)) {
+    return null;
+  }
+  return config.tiers.find(tier => {
+    if (!tier || typeof tier !== 'object') return false;
+    const min = typeof tier.min === 'number' ? tier.min : -Infinity;
+    const max = typeof tier.max === 'number' ? tier.max : Infinity;
+    return value >= min && value <= max;
+  }) || null;
+}
+
+/**
+ * 단계의 스타일 덮어쓰기 적용
+ * overrides의 키는 설정 섹션 이름(container, affectionBar 등), elements의 id 또는 stats의 key
+ */
+function applyTierOverrides(config, tier) {
+  const overrides = tier?.overrides;
+  if (!isPlainObject(overrides)) {
+    return config;
+  }
+
+  const result = { ...config };
+  Object.keys(overrides).forEach(key => {
+    if (key !== 'elements' && key !== 'tiers' && isPlainObject(config[key])) {
+      result[key] = deepMerge(config[key], overrides[key]);
+    }
+  });
+  if (Array.isArray(config.elements)) {
+    result.elements = config.elements.map(element =>
+      element && element.id && isPlainObject(overrides[element.id])
+        ? deepMerge(element, overrides[element.id])
+        : element
+    );
+  }
+  if (Array.isArray(config.stats)) {
+    result.stats = config.stats.map(stat =>
+      stat && stat.key && isPlainObject(overrides[stat.key])
+        ? deepMerge(stat, overrides[stat.key])
+        : stat
+    );
+  }
+  return result;
+}
+
+/**
+ * 단계별 캐릭터 이미지 파일명 (image: true면 image_{name}.webp, 문자열이면 해당 파일)
+ */
+function getTierImageFilename(tier) {
+  if (!tier || !tier.image) {
+    return null;
+  }
+  const filename = tier.image === true ? `image_${tier.name}.webp` : tier.image;
+  return resolveImageSource(filename);
+}
+
+/**
+ * 최대 호감도 (0 이하 또는 숫자가 아니면 100)
+ */
+function getMaxAffection(config) {
+  return typeof config.maxAffection === 'number' && config.maxAffection > 0 ? config.maxAffection : 100;
+}
+
+/**
+ * 최소 호감도 (숫자가 아니거나 최대 호감도 이상이면 0)
+ */
+function getMinAffection(config) {
+  const min = config.minAffection;
+  return typeof min === 'number' && Number.isFinite(min) && min < getMaxAffection(config) ? min : 0;
+}
+
+// 기존 URL(_Love_Value=)과 stats가 없는 설정의 스탯 키
+const LEGACY_STAT_KEY = 'Love';
+// 서버가 읽는 쿼리(출력 옵션, 애니메이션, 서명, 파티 구성)와 겹쳐서 스탯 키로 쓸 수 없는 이름
+const RESERVED_STAT_KEYS = ['format', 'quality', 'scale', 'lossless', 'animate', 'exp', 'sig', 'chars', 'layout', 'columns'];
+// stats 기본 레이아웃에서 스탯마다 아래로 내리는 간격 (px)
+const STAT_ROW_HEIGHT = 45;
+
+/**
+ * 스탯 목록 ({ key, label, minAffection, maxAffection, default, value, bar })
+ * stats가 없으면 minAffection/maxAffection으로 만든 Love 스탯 하나
+ */
+function getStats(config) {
+  const stats = Array.isArray(config.stats)
+    ? config.stats.filter(stat => isPlainObject(stat) && typeof stat.key === 'string' && stat.key)
+    : [];
+  if (stats.length === 0) {
+    return [{ key: LEGACY_STAT_KEY, label: LEGACY_STAT_KEY, minAffection: getMinAffection(config), maxAffection: getMaxAffection(config) }];
+  }
+  return stats.map(stat => ({
+    ...stat,
+    label: stat.label ?? stat.key,
+    minAffection: getMinAffection(stat),
+    maxAffection: getMaxAffection(stat)
+  }));
+}
+
+/**
+ * 스탯 값 맵 ({ 키: 값 }) 만들기
+ * value: 첫 번째 스탯의 값(숫자) 또는 { 키: 값 }, 없는 스탯은 default (기본값: 0, 범위 밖이면 minAffection)
+ */
+function resolveStatValues(config, value) {
+  const stats = getStats(config);
+  const given = typeof value === 'number' ? { [stats[0].key]: value } : (value || {});
+  const values = {};
+  stats.forEach(stat => {
+    values[stat.key] = typeof given[stat.key] === 'number'
+      ? given[stat.key]
+      : (typeof stat.default === 'number' ? stat.default : Math.max(stat.minAffection, 0));
+  });
+  return values;
+}
+
+/**
+ * 기존 URL(_Love_Value=)의 값이 들어갈 스탯 (Love 스탯이 없으면 첫 번째 스탯)
+ */
+function getLegacyStatKey(config) {
+  const stats = getStats(config);
+  return stats.some(stat => stat.key === LEGACY_STAT_KEY) ? LEGACY_STAT_KEY : stats[0].key;
+}
+
+/**
+ * 요청의 스탯 값 파싱 (params: { 스탯 키: 값 또는 "{이전}to{현재}" }, 설정에 없는 키는 무시)
+ * 반환: { value: { 키: 값 }, previousValue: { 키: 값 } | null (바뀌는 값이 없으면 null) }
+ */
+function parseStatParams(config, params) {
+  const stats = getStats(config);
+  const value = {};
+  const previousValue = {};
+  let animate = false;
+  stats.forEach(stat => {
+    const param = params[stat.key];
+    if (param === undefined) return;
+    if (typeof param !== 'string') {
+      throw createBadRequestError(`${stat.key}: 값은 하나만 지정할 수 있습니다`);
+    }
+    const rangeMatch = param.match(/^(.+?)to(.+)$/);
+    value[stat.key] = parseAffectionValue(rangeMatch ? rangeMatch[2] : param, stat.key);
+    previousValue[stat.key] = rangeMatch ? parseAffectionValue(rangeMatch[1], `${stat.key} 이전 값`) : value[stat.key];
+    animate = animate || previousValue[stat.key] !== value[stat.key];
+  });
+  if (Object.keys(value).length === 0) {
+    throw createBadRequestError(`스탯 값이 없습니다. 예: ?${stats.map(stat => `${stat.key}=50`).join('&')}`);
+  }
+  return { value, previousValue: animate ? previousValue : null };
+}
+
+/**
+ * 첫 번째 스탯의 값 (단계 판정 기준)
+ */
+function getPrimaryStatValue(config, value) {
+  return typeof value === 'number' ? value : resolveStatValues(config, value)[getStats(config)[0].key];
+}
+
+/**
+ * 스탯 값 로그 표시 (스탯 하나면 값만, 여러 개면 "키=값, ...")
+ */
+function formatStatValues(value) {
+  if (!isPlainObject(value)) {
+    return String(value);
+  }
+  const entries = Object.entries(value);
+  return entries.length === 1 ? String(entries[0][1]) : entries.map(([key, statValue]) => `${key}=${statValue}`).join(', ');
+}
+
+/**
+ * 요소 타입별 기본값 (기존 고정 위젯의 기본값과 동일)
+ */
+const ELEMENT_DEFAULTS = {
+  image: { x: 10, y: 50, width: 100, height: 100, borderRadius: 50, borderWidth: 2, borderColor: '#cccccc', placeholderBackground: '#e0e0e0', placeholderColor: '#bdbdbd' },
+  name: { x: 10, y: 10, fontSize: 20, fontWeight: 'bold', color: '#000000' },
+  value: { x: 200, y: 100, fontSize: 18, fontWeight: 'normal', color: '#333' },
+  text: { x: 0, y: 0, fontSize: 18, fontWeight: 'normal', color: '#333' },
+  tier: { x: 200, y: 150, fontSize: 16, fontWeight: 'bold', color: '#333' },
+  rect: { x: 0, y: 0, width: 100, height: 100, borderRadius: 0, borderWidth: 0, borderColor: '#333', backgroundColor: 'transparent' },
+  bar: { x: 200, y: 120, width: 180, height: 20, borderRadius: 10, backgroundColor: '#e0e0e0', fillColor: '#4CAF50', negativeColor: '#f44336' }
+};
+
+// 렌더링 한도: 창/요소 한 변의 최대 길이 (px, scale 적용 전), 미터 칸/아이콘 최대 개수
+// 이미지 한 장의 최대 픽셀 수 (scale 적용 후), 요청 하나에서 그리는 모든 프레임의 최대 픽셀 수
+const MAX_CANVAS_SIZE = 2000;
+const MAX_METER_COUNT = 100;
+const MAX_OUTPUT_PIXELS = 4000000;
+const MAX_RENDER_PIXELS = 40000000;
+
+/**
+ * 기존 필드(characterImage, characterNameStyle, affectionValue, affectionBar)로 기본 레이아웃 생성
+ */
+function buildDefaultElements(config) {
+  const legacy = (id, type, source, extra = {}) => ({
+    id,
+    type,
+    ...extra,
+    styles: source?.styles || {},
+    layout: source?.layout || {}
+  });
+
+  const elements = [
+    legacy('characterImage', 'image', config.characterImage, {
+      src: 'character',
+      zIndex: 10,
+      stat: config.characterImage?.stat,
+      placeholder: config.characterImage?.placeholder,
+      filterRules: config.characterImage?.filterRules
+    }),
+    legacy('characterName', 'name', config.characterNameStyle, { zIndex: 20 })
+  ];
+
+  if (Array.isArray(config.stats)) {
+    // 스탯마다 수치와 바 (위치를 지정하지 않으면 STAT_ROW_HEIGHT씩 아래로)
+    getStats(config).forEach((stat, index) => {
+      const offset = index * STAT_ROW_HEIGHT;
+      const statSection = (section, d) => ({
+        styles: section?.styles,
+        layout: { x: d.x, y: d.y + offset, ...(section?.layout || {}) }
+      });
+      elements.push(
+        legacy(`${stat.key}Value`, 'value', statSection(stat.value, ELEMENT_DEFAULTS.value), {
+          zIndex: 30,
+          stat: stat.key,
+          label: stat.value?.label ?? stat.label,
+          format: stat.value?.format,
+          decimals: stat.value?.decimals
+        }),
+        legacy(`${stat.key}Bar`, 'bar', statSection(stat.bar, ELEMENT_DEFAULTS.bar), {
+          zIndex: 40,
+          stat: stat.key,
+          meter: stat.bar?.meter,
+          count: stat.bar?.count,
+          icon: stat.bar?.icon,
+          emptyIcon: stat.bar?.emptyIcon,
+          origin: stat.bar?.origin
+        })
+      );
+    });
+  } else {
+    elements.push(
+      legacy('affectionValue', 'value', config.affectionValue, {
+        zIndex: 30,
+        format: config.affectionValue?.format,
+        decimals: config.affectionValue?.decimals
+      }),
+      legacy('affectionBar', 'bar', config.affectionBar, {
+        zIndex: 40,
+        meter: config.affectionBar?.meter,
+        count: config.affectionBar?.count,
+        icon: config.affectionBar?.icon,
+        emptyIcon: config.affectionBar?.emptyIcon,
+        origin: config.affectionBar?.origin
+      })
+    );
+  }
+
+  // 단계 라벨은 tierLabel 섹션이 있을 때만 표시
+  if (config.tierLabel) {
+    elements.push(legacy('tierLabel', 'tier', config.tierLabel, { zIndex: 50 }));
+  }
+  return elements;
+}
+
+/**
+ * 기본 레이아웃 요소 id → 레이아웃이 있는 설정 섹션
+ */
+const LEGACY_ELEMENT_SECTIONS = {
+  characterImage: 'characterImage',
+  characterName: 'characterNameStyle',
+  affectionValue: 'affectionValue',
+  affectionBar: 'affectionBar',
+  tierLabel: 'tierLabel'
+};
+
+/**
+ * 요소의 layout이 있는 설정 경로 (예: ['elements', 2, 'layout'], ['characterNameStyle', 'layout'], ['stats', 1, 'bar', 'layout'])
+ */
+function getElementLayoutPath(config, element) {
+  if (Array.isArray(config.elements)) {
+    const index = config.elements.indexOf(element);
+    return index >= 0 ? ['elements', index, 'layout'] : null;
+  }
+  if (Array.isArray(config.stats) && element.stat && element.type !== 'image') {
+    const index = config.stats.findIndex(stat => stat && stat.key === element.stat);
+    return index >= 0 ? ['stats', index, element.type === 'bar' ? 'bar' : 'value', 'layout'] : null;
+  }
+  const section = LEGACY_ELEMENT_SECTIONS[element.id];
+  return section ? [section, 'layout'] : null;
+}
+
+/**
+ * 그릴 요소 목록 (elements가 없으면 기본 레이아웃, zIndex 오름차순 / 같으면 선언 순서)
+ */
+function getElements(config) {
+  const elements = Array.isArray(config.elements) ? config.elements : buildDefaultElements(config);
+  return elements
+    .filter(element => element && typeof element === 'object' && element.visible !== false)
+    .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+}
+
+// 버킷 공용 이미지 접두사 (shared:파일명 → {bucket}/images/파일명)
+const SHARED_IMAGE_PREFIX = 'shared:';
+
+/**
+ * 이미지 요소의 src 정규화 ('character', 캐릭터 폴더 기준 파일명 또는 shared:버킷 공용 파일명)
+ */
+function resolveImageSource(src) {
+  if (!src || src === 'character') {
+    return 'character';
+  }
+  const file = typeof src === 'string' && src.startsWith(SHARED_IMAGE_PREFIX) ? src.slice(SHARED_IMAGE_PREFIX.length) : src;
+  if (typeof file !== 'string' || !file || file.includes('..') || file.startsWith('/') || !/^[\w\-./]+$/.test(file)) {
+    throw new Error(`잘못된 이미지 경로: ${src}`);
+  }
+  return src;
+}
+
+/**
+ * 이미지 src의 저장소 키 (캐릭터 폴더 또는 버킷 공용 폴더 {bucket}/images/)
+ */
+function getImageStorageKey(bucket, name, src) {
+  return src.startsWith(SHARED_IMAGE_PREFIX)
+    ? `${bucket}/images/${src.slice(SHARED_IMAGE_PREFIX.length)}`
+    : `${bucket}/${name}/${src}`;
+}
+
+/**
+ * 요소 목록에서 사용하는 이미지 src 목록 ('character' 포함)
+ */
+function collectImageSources(elements) {
+  const sources = new Set();
+  elements.forEach(element => {
+    // 이미지 요소의 src/대체 이미지/마스크, 아이콘 미터의 이미지 아이콘, 요소 프레임
+    const files = element.type === 'image'
+      ? [element.src, getPlaceholderImage(element), element.styles?.mask].filter((file, index) => index === 0 || file)
+      : element.type === 'bar' && element.meter === 'icons'
+        ? [element.icon, element.emptyIcon].filter(icon => icon && !ICON_SHAPES[icon])
+        : [];
+    if (isPlainObject(element.frame) && element.frame.image) {
+      files.push(element.frame.image);
+    }
+    files.forEach(file => {
+      try {
+        sources.add(resolveImageSource(file));
+      } catch (error) {
+        log.warn('이미지', error.message);
+      }
+    });
+  });
+  return sources;
+}
+
+/**
+ * 컨테이너에서 사용하는 이미지 파일 목록 (배경 이미지, 프레임)
+ */
+function getContainerImageSources(config) {
+  const container = isPlainObject(config.container) ? config.container : {};
+  const files = [container.styles?.backgroundImage, isPlainObject(container.frame) ? container.frame.image : null];
+  return files.filter(Boolean).filter(file => {
+    try {
+      return resolveImageSource(file) !== 'character';
+    } catch (error) {
+      log.warn('이미지', error.message);
+      return false;
+    }
+  });
+}
+
+/**
+ * 캐릭터 이미지 외에 추가로 가져와야 할 이미지 파일 목록
+ */
+function getElementImageSources(config) {
+  const sources = new Set([...collectImageSources(getElements(config)), ...getContainerImageSources(config)]);
+  sources.delete('character');
+  return [...sources];
+}
+
+/**
+ * 렌더링에 필요한 추가 이미지 (요소/컨테이너 이미지, 값마다의 단계 덮어쓰기 이미지와 단계 이미지, 캐릭터 폴더 기준)
+ */
+function getRenderImageSources(config, values) {
+  const sources = getElementImageSources(config);
+  new Set(values.map(value => resolveTier(config, getPrimaryStatValue(config, value)))).forEach(tier => {
+    try {
+      // 단계 덮어쓰기로 바뀌는 이미지(배경, 아이콘 등)와 단계 이미지 (없거나 실패하면 image.webp 사용)
+      const tierSources = tier ? getElementImageSources(applyTierOverrides(config, tier)) : [];
+      [...tierSources, getTierImageFilename(tier)].forEach(source => {
+        if (source && !sources.includes(source)) {
+          sources.push(source);
+        }
+      });
+    } catch (error) {
+      log.warn('단계', error.message);
+    }
+  });
+  return sources;
+}
+
+/**
+ * 사각형 요소 그리기
+ */
+function drawRectElement(ctx, element, state) {
+  const d = ELEMENT_DEFAULTS.rect;
+  const layout = element.layout || {};
+  const styles = element.styles || {};
+
+  const box = {
+    x: layout.x ?? d.x,
+    y: layout.y ?? d.y,
+    width: layout.width ?? d.width,
+    height: layout.height ?? d.height
+  };
+  const borderWidth = styles.borderWidth ?? d.borderWidth;
+  const path = createShapePath(box, resolveShape(styles, state.clipPaths, d.borderRadius));
+
+  ctx.fillStyle = resolvePaint(ctx, styles.backgroundColor ?? d.backgroundColor, box);
+  ctx.fill(path);
+
+  if (borderWidth > 0) {
+    ctx.strokeStyle = resolvePaint(ctx, styles.borderColor ?? d.borderColor, box);
+    ctx.lineWidth = borderWidth;
+    ctx.stroke(path);
+  }
+  return box;
+}
+
+// 이미지 필터 → CSS filter 함수 (blur는 px, hueRotate는 deg)
+const IMAGE_FILTER_FUNCTIONS = {
+  grayscale: v => `grayscale(${v})`,
+  sepia: v => `sepia(${v})`,
+  saturate: v => `saturate(${v})`,
+  brightness: v => `brightness(${v})`,
+  contrast: v => `contrast(${v})`,
+  invert: v => `invert(${v})`,
+  opacity: v => `opacity(${v})`,
+  hueRotate: v => `hue-rotate(${v}deg)`,
+  blur: v => `blur(${v}px)`
+};
+
+/**
+ * 이미지 요소의 필터 (styles.filters에 값 조건을 만족하는 filterRules의 filters를 순서대로 덮어씀)
+ * filterRules: [{ min, max, filters }] - 요소의 스탯(element.stat, 없으면 첫 번째 스탯) 값이 min 이상 max 이하일 때 적용
+ */
+function resolveImageFilters(element, state) {
+  const filters = { ...(isPlainObject(element.styles?.filters) ? element.styles.filters : {}) };
+  if (Array.isArray(element.filterRules) && element.filterRules.length > 0) {
+    const { value } = getStatState(state, element);
+    element.filterRules.forEach(rule => {
+      if (!isPlainObject(rule) || !isPlainObject(rule.filters)) return;
+      if (typeof rule.min === 'number' && value < rule.min) return;
+      if (typeof rule.max === 'number' && value > rule.max) return;
+      Object.assign(filters, rule.filters);
+    });
+  }
+  return filters;
+}
+
+/**
+ * 필터 → ctx.filter 문자열 (pixelScale: 출력 배율, blur 크기 보정)
+ */
+function buildCanvasFilter(filters, pixelScale = 1) {
+  const parts = Object.entries(IMAGE_FILTER_FUNCTIONS)
+    .filter(([key]) => typeof filters[key] === 'number')
+    .map(([key, toFilter]) => toFilter(key === 'blur' ? filters[key] * pixelScale : filters[key]));
+  return parts.length > 0 ? parts.join(' ') : 'none';
+}
+
+/**
+ * 이미지가 없을 때 대체 이미지 파일명 (placeholder: 파일명 또는 { image })
+ */
+function getPlaceholderImage(element) {
+  const placeholder = element.placeholder;
+  if (typeof placeholder === 'string') return placeholder;
+  return isPlainObject(placeholder) && typeof placeholder.image === 'string' ? placeholder.image : null;
+}
+
+/**
+ * 기본 대체 그림 (배경 + 사람 실루엣, placeholder.backgroundColor/color로 색 지정)
+ */
+function drawPlaceholderSilhouette(ctx, box, path, placeholder) {
+  const d = ELEMENT_DEFAULTS.image;
+  const options = isPlainObject(placeholder) ? placeholder : {};
+  ctx.save();
+  ctx.clip(path);
+  ctx.fillStyle = resolvePaint(ctx, options.backgroundColor ?? d.placeholderBackground, box);
+  ctx.fill(path);
+
+  const size = Math.min(box.width, box.height);
+  const centerX = box.x + box.width / 2;
+  const bottom = box.y + box.height / 2 + size / 2;
+  ctx.fillStyle = resolvePaint(ctx, options.color ?? d.placeholderColor, box);
+  ctx.beginPath();
+  ctx.arc(centerX, bottom - size * 0.62, size * 0.2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.ellipse(centerX, bottom, size * 0.38, size * 0.3, 0, Math.PI, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+/**
+ * 이미지 요소 그리기
+ * styles.objectFit/objectPosition/crop: 맞춤 방식, 초점, 원본 자르기, styles.mask: 알파 마스크 이미지
+ * styles.filters + filterRules: 필터 (tint는 색을 amount 비율로 덮음)
+ * 이미지가 없으면 placeholder (대체 이미지 또는 실루엣, false면 그리지 않음)
+ */
+function drawImageElement(ctx, element, state) {
+  const src = resolveImageSource(element.src);
+  const d = ELEMENT_DEFAULTS.image;
+  const layout = element.layout || {};
+  const styles = element.styles || {};
+
+  const box = {
+    x: layout.x ?? d.x,
+    y: layout.y ?? d.y,
+    width: layout.width ?? d.width,
+    height: layout.height ?? d.height
+  };
+  const borderWidth = styles.borderWidth ?? d.borderWidth;
+  const path = createShapePath(box, resolveShape(styles, state.clipPaths, d.borderRadius));
+
+  let image = state.images[src];
+  let crop = styles.crop;
+  if (!image) {
+    log.warn('이미지', '이미지가 없습니다', { src });
+    if (element.placeholder === false) {
+      return box;
+    }
+    // 대체 이미지 (자르기 영역은 원래 이미지 기준이라 적용하지 않음), 없으면 실루엣
+    const placeholderImage = getPlaceholderImage(element);
+    image = placeholderImage ? state.images[placeholderImage] : null;
+    crop = null;
+    if (!image) {
+      drawPlaceholderSilhouette(ctx, box, path, element.placeholder);
+    }
+  }
+
+  if (image) {
+    // 이미지 그리기 (도형으로 자르기, 기본값: 둥근 모서리)
+    const filters = resolveImageFilters(element, state);
+    const transform = ctx.getTransform();
+    const pixelScale = Math.hypot(transform.a, transform.b) || 1;
+    const fitOptions = { position: styles.objectPosition, crop };
+    const fit = styles.objectFit || 'fill';
+    const tint = isPlainObject(filters.tint) ? filters.tint : null;
+    const mask = styles.mask ? state.images[styles.mask] : null;
+    if (styles.mask && !mask) {
+      log.warn('이미지', '마스크 이미지가 없습니다', { src: styles.mask });
+    }
+
+    ctx.save();
+    ctx.clip(path);
+    if (tint || mask) {
+      // 색조/마스크는 이미지에만 적용되도록 별도 레이어에서 그린 뒤 합성
+      const layer = createCanvas(Math.max(1, Math.ceil(box.width * pixelScale)), Math.max(1, Math.ceil(box.height * pixelScale)));
+      const layerCtx = layer.getContext('2d');
+      layerCtx.scale(pixelScale, pixelScale);
+      layerCtx.translate(-box.x, -box.y);
+      layerCtx.filter = buildCanvasFilter(filters, pixelScale);
+      drawImageFit(layerCtx, image, box, fit, fitOptions);
+      layerCtx.filter = 'none';
+      if (tint) {
+        layerCtx.globalCompositeOperation = 'source-atop';
+        layerCtx.globalAlpha = Math.min(1, Math.max(0, tint.amount ?? 0.5));
+        layerCtx.fillStyle = resolvePaint(layerCtx, tint.color ?? '#000000', box);
+        layerCtx.fillRect(box.x, box.y, box.width, box.height);
+        layerCtx.globalAlpha = 1;
+      }
+      if (mask) {
+        // 이동 변환이 있으면 destination-in 합성이 레이어 전체를 지우는 경우가 있어 레이어 좌표로 그림
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.globalCompositeOperation = 'destination-in';
+        layerCtx.drawImage(mask, 0, 0, layer.width, layer.height);
+      }
+      ctx.drawImage(layer, box.x, box.y, box.width, box.height);
+    } else {
+      ctx.filter = buildCanvasFilter(filters, pixelScale);
+      drawImageFit(ctx, image, box, fit, fitOptions);
+    }
+    ctx.restore();
+  }
+
+  // 이미지 테두리 그리기
+  if (borderWidth > 0) {
+    ctx.strokeStyle = resolvePaint(ctx, styles.borderColor ?? d.borderColor, box);
+    ctx.lineWidth = borderWidth;
+    ctx.stroke(path);
+  }
+  return box;
+}
+
+// 텍스트 기본 줄 높이 (글자 크기 배수), shrink 최소 글자 크기 (px)
+const TEXT_LINE_HEIGHT = 1.2;
+const TEXT_MIN_FONT_SIZE = 8;
+
+/**
+ * 텍스트 요소 그리기 (text: 고정 문자열, name: 캐릭터 이름, value: 호감도 수치, tier: 단계 라벨)
+ * 모든 텍스트는 템플릿 자리표시자({value}, {percent}, {name} 등)를 채워서 그림, value는 format이 템플릿일 때
+ */
+function drawTextElement(ctx, element, state) {
+  const { config, defaultStyle, fontSettings, fonts } = state;
+  const d = ELEMENT_DEFAULTS[element.type];
+  const layout = element.layout || {};
+
+  let text;
+  if (element.type === 'name') {
+    // characterName이 문자열인지 확인
+    text = typeof config.characterName === 'string' ? config.characterName : '';
+  } else if (element.type === 'value') {
+    const { displayValue, minAffection, maxAffection } = getStatState(state, element);
+    if (isTextTemplate(element.format)) {
+      // 템플릿이면 label도 {label}로 직접 배치
+      text = element.format;
+    } else {
+      text = formatAffectionValue(displayValue, maxAffection, element.format || 'number', {
+        min: minAffection,
+        decimals: element.decimals,
+        locale: getConfigLocale(config)
+      });
+      if (element.label) {
+        text = `${element.label} ${text}`;
+      }
+    }
+  } else if (element.type === 'tier') {
+    text = state.tier ? String(state.tier.label ?? state.tier.name ?? '') : '';
+  } else {
+    text = element.text != null ? String(element.text) : '';
+  }
+  if (isTextTemplate(text)) {
+    text = renderTextTemplate(text, state, element);
+  }
+  if (!text) return null;
+
+  // 스타일 병합 (textinput 방식)
+  const style = { ...defaultStyle, ...(element.styles || {}) };
+
+  // 폰트 패밀리 처리 (textinput 방식)
+  const fontFamily = processFontFamily(style, defaultStyle, fontSettings, element.type, fonts);
+
+  const fontPrefix = `${style.fontStyle ? `${style.fontStyle} ` : ''}${style.fontWeight ?? d.fontWeight}`;
+  let fontSize = style.fontSize ?? d.fontSize;
+  const setFontSize = size => {
+    fontSize = size;
+    ctx.font = `${fontPrefix} ${size}px ${fontFamily}`;
+  };
+  setFontSize(fontSize);
+  if (style.letterSpacing) {
+    ctx.letterSpacing = `${style.letterSpacing}px`;
+  }
+  ctx.textAlign = style.textAlign || 'left';
+  ctx.textBaseline = 'top';
+
+  // 최대 너비: 줄바꿈(wrap) 또는 글자 크기 줄이기(shrink)
+  const measureWidest = lines => Math.max(...lines.map(line => ctx.measureText(line).width));
+  let lines = text.split('\n');
+  const maxWidth = layout.maxWidth;
+  if (maxWidth > 0) {
+    if (style.overflow === 'shrink') {
+      const minFontSize = Math.min(style.minFontSize ?? TEXT_MIN_FONT_SIZE, fontSize);
+      const widest = measureWidest(lines);
+      if (widest > maxWidth) {
+        setFontSize(Math.max(minFontSize, Math.floor((fontSize * maxWidth / widest) * 2) / 2));
+        // 글자 너비가 크기에 정확히 비례하지 않을 수 있어 맞을 때까지 줄임
+        while (fontSize > minFontSize && measureWidest(lines) > maxWidth) {
+          setFontSize(Math.max(minFontSize, fontSize - 0.5));
+        }
+      }
+    } else {
+      lines = wrapTextLines(ctx, text, maxWidth);
+    }
+  }
+
+  // 줄 높이와 세로 정렬 (y 기준 top: 위, middle: 가운데, bottom: 아래)
+  const lineHeight = fontSize * (style.lineHeight ?? TEXT_LINE_HEIGHT);
+  const blockHeight = fontSize + (lines.length - 1) * lineHeight;
+  const x = layout.x ?? d.x;
+  const anchorY = layout.y ?? d.y;
+  const y = anchorY - ({ middle: blockHeight / 2, bottom: blockHeight }[style.verticalAlign] || 0);
+
+  // 그려질 영역 (정렬 기준점 반영, 그라디언트 기준)
+  const width = measureWidest(lines);
+  const offset = { center: width / 2, right: width, end: width }[ctx.textAlign] || 0;
+  const textBox = { x: x - offset, y, width, height: blockHeight };
+
+  const fillPaint = resolvePaint(ctx, style.fill || style.color || d.color, textBox);
+  const strokePaint = resolvePaint(ctx, style.strokeColor || '#000000', textBox);
+  const strokeWidth = style.strokeWidth ?? 0;
+  const shadow = style.shadowColor
+    ? { color: style.shadowColor, blur: style.shadowBlur ?? 0, offsetX: style.shadowOffsetX ?? 0, offsetY: style.shadowOffsetY ?? 0 }
+    : null;
+  const applyShadow = enabled => {
+    ctx.shadowColor = enabled ? shadow.color : 'transparent';
+    ctx.shadowBlur = enabled ? shadow.blur : 0;
+    ctx.shadowOffsetX = enabled ? shadow.offsetX : 0;
+    ctx.shadowOffsetY = enabled ? shadow.offsetY : 0;
+  };
+
+  lines.forEach((line, index) => {
+    const lineY = y + index * lineHeight;
+
+    // 외곽선 (글자 바깥으로 strokeWidth만큼 보이도록 두 배 두께로 그린 뒤 채우기로 덮음)
+    if (strokeWidth > 0) {
+      if (shadow) applyShadow(true);
+      ctx.strokeStyle = strokePaint;
+      ctx.lineWidth = strokeWidth * 2;
+      ctx.lineJoin = 'round';
+      ctx.strokeText(line, x, lineY);
+    }
+
+    // 그림자는 외곽선이 있으면 외곽선에만 적용
+    if (shadow) applyShadow(strokeWidth <= 0);
+    ctx.fillStyle = fillPaint;
+    ctx.fillText(line, x, lineY);
+  });
+
+  return textBox;
+}
+
+/**
+ * 요소의 스탯(element.stat, 없으면 첫 번째 스탯) 값과 범위를 적용한 상태
+ */
+function getStatState(state, element) {
+  const stat = state.stats[element.stat ?? state.primaryStat];
+  if (!stat) {
+    throw new Error(`알 수 없는 stat: ${element.stat}`);
+  }
+  return { ...state, ...stat };
+}
+
+/**
+ * 범위 안에서 값의 위치 비율 ((value - minAffection) / (maxAffection - minAffection), 0~1)
+ */
+function getRangeRatio(state, value) {
+  const ratio = (value - state.minAffection) / (state.maxAffection - state.minAffection);
+  return Math.min(1, Math.max(0, ratio));
+}
+
+/**
+ * 호감도 채움 비율 (0~1)
+ */
+function getFillRatio(state) {
+  return getRangeRatio(state, state.value);
+}
+
+/**
+ * 미터 색상 (그라디언트의 span이 'fill'이면 채워진 부분 기준, 아니면 전체 영역 기준)
+ */
+function resolveMeterPaint(ctx, paint, box, ratio) {
+  const paintBox = isPlainObject(paint) && paint.span === 'fill'
+    ? { ...box, width: box.width * ratio }
+    : box;
+  return resolvePaint(ctx, paint, paintBox);
+}
+
+/**
+ * 칸/아이콘 i번째의 채움 비율 (partial: false면 다 찬 칸만)
+ */
+function getCellFillRatios(ratio, count, partial = true) {
+  const filled = partial ? ratio * count : Math.floor(ratio * count + 1e-9);
+  return Array.from({ length: count }, (_, index) => Math.min(1, Math.max(0, filled - index)));
+}
+
+/**
+ * 아이콘 모양 경로 (x, y: 왼쪽 위, size: 한 변)
+ */
+const ICON_SHAPES = {
+  heart(ctx, x, y, size) {
+    const p = (u, v) => [x + u * size, y + v * size];
+    ctx.beginPath();
+    ctx.moveTo(...p(0.5, 0.3));
+    ctx.bezierCurveTo(...p(0.5, 0.27), ...p(0.45, 0.15), ...p(0.25, 0.15));
+    ctx.bezierCurveTo(...p(0, 0.15), ...p(0, 0.4), ...p(0, 0.4));
+    ctx.bezierCurveTo(...p(0, 0.55), ...p(0.2, 0.77), ...p(0.5, 0.95));
+    ctx.bezierCurveTo(...p(0.8, 0.77), ...p(1, 0.55), ...p(1, 0.4));
+    ctx.bezierCurveTo(...p(1, 0.4), ...p(1, 0.15), ...p(0.75, 0.15));
+    ctx.bezierCurveTo(...p(0.6, 0.15), ...p(0.5, 0.27), ...p(0.5, 0.3));
+    ctx.closePath();
+  },
+  star(ctx, x, y, size) {
+    const cx = x + size / 2;
+    const cy = y + size * 0.53;
+    ctx.beginPath();
+    for (let i = 0; i < 10; i++) {
+      const radius = i % 2 === 0 ? size / 2 : size * 0.2;
+      const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+      ctx.lineTo(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle));
+    }
+    ctx.closePath();
+  },
+  circle(ctx, x, y, size) {
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+    ctx.closePath();
+  },
+  diamond(ctx, x, y, size) {
+    ctx.beginPath();
+    ctx.moveTo(x + size / 2, y);
+    ctx.lineTo(x + size, y + size / 2);
+    ctx.lineTo(x + size / 2, y + size);
+    ctx.lineTo(x, y + size / 2);
+    ctx.closePath();
+  },
+  square(ctx, x, y, size) {
+    ctx.beginPath();
+    ctx.rect(x, y, size, size);
+  }
+};
+
+/**
+ * 기본 바 (비율만큼 가로로 채움)
+ * clipPath가 있으면 바 도형 안에서 채움 부분만 잘라 그리고, 없으면 채움 부분을 둥근 사각형으로 그림
+ */
+function drawBarMeter(ctx, box, element, styles, ratio, state) {
+  const d = ELEMENT_DEFAULTS.bar;
+  const shape = resolveShape(styles, state.clipPaths, d.borderRadius);
+  const trackPath = createShapePath(box, shape);
+
+  // 배경 바 그리기
+  ctx.fillStyle = resolvePaint(ctx, styles.backgroundColor ?? d.backgroundColor, box);
+  ctx.fill(trackPath);
+
+  // 채움 바 그리기
+  const fillWidth = box.width * ratio;
+  if (fillWidth > 0) {
+    ctx.fillStyle = resolveMeterPaint(ctx, styles.fillColor ?? d.fillColor, box, ratio);
+    if (styles.clipPath) {
+      ctx.save();
+      ctx.clip(trackPath);
+      ctx.fillRect(box.x, box.y, fillWidth, box.height);
+      ctx.restore();
+    } else {
+      ctx.fill(createShapePath({ ...box, width: fillWidth }, shape));
+    }
+  }
+}
+
+/**
+ * 칸 나뉜 바 (count칸, 칸 사이 gap)
+ */
+function drawSegmentedMeter(ctx, box, element, styles, ratio, state) {
+  const d = ELEMENT_DEFAULTS.bar;
+  const count = Math.min(MAX_METER_COUNT, Math.max(1, Math.round(element.count ?? 10)));
+  const gap = styles.gap ?? 4;
+  const cellWidth = Math.max(0, (box.width - gap * (count - 1)) / count);
+  const shape = resolveShape(styles, state.clipPaths, d.borderRadius);
+  const backgroundPaint = resolvePaint(ctx, styles.backgroundColor ?? d.backgroundColor, box);
+  const fillPaint = resolveMeterPaint(ctx, styles.fillColor ?? d.fillColor, box, ratio);
+
+  getCellFillRatios(ratio, count, styles.partial !== false).forEach((cellRatio, index) => {
+    const cellX = box.x + index * (cellWidth + gap);
+    const cellPath = createShapePath({ x: cellX, y: box.y, width: cellWidth, height: box.height }, shape);
+    ctx.fillStyle = backgroundPaint;
+    ctx.fill(cellPath);
+
+    if (cellRatio > 0) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(cellX, box.y, cellWidth * cellRatio, box.height);
+      ctx.clip();
+      ctx.fillStyle = fillPaint;
+      ctx.fill(cellPath);
+      ctx.restore();
+    }
+  });
+}
+
+/**
+ * 아이콘 반복 (모양 또는 캐릭터 폴더의 이미지, 채움 비율만큼 잘라서 표시)
+ */
+function drawIconMeter(ctx, box, element, styles, ratio, state) {
+  const d = ELEMENT_DEFAULTS.bar;
+  const count = Math.min(MAX_METER_COUNT, Math.max(1, Math.round(element.count ?? 5)));
+  const gap = styles.gap ?? 4;
+  const size = Math.max(0, Math.min(box.height, (box.width - gap * (count - 1)) / count));
+
+  let icon = element.icon || 'heart';
+  let image = null;
+  if (!ICON_SHAPES[icon]) {
+    image = state.images[resolveImageSource(icon)];
+    if (!image) {
+      log.warn('미터', '아이콘 이미지가 없어 heart 모양을 사용합니다', { src: icon });
+      icon = 'heart';
+    }
+  }
+  const emptyImage = image && element.emptyIcon ? state.images[resolveImageSource(element.emptyIcon)] : null;
+
+  const drawIcon = (iconX, iconY, filled) => {
+    if (image) {
+      if (filled) {
+        ctx.drawImage(image, iconX, iconY, size, size);
+      } else if (emptyImage) {
+        ctx.drawImage(emptyImage, iconX, iconY, size, size);
+      } else {
+        ctx.globalAlpha = styles.emptyOpacity ?? 0.3;
+        ctx.drawImage(image, iconX, iconY, size, size);
+        ctx.globalAlpha = 1;
+      }
+      return;
+    }
+    ICON_SHAPES[icon](ctx, iconX, iconY, size);
+    ctx.fillStyle = filled
+      ? resolveMeterPaint(ctx, styles.fillColor ?? d.fillColor, box, ratio)
+      : resolvePaint(ctx, styles.backgroundColor ?? d.backgroundColor, box);
+    ctx.fill();
+  };
+
+  getCellFillRatios(ratio, count, styles.partial !== false).forEach((iconRatio, index) => {
+    const iconX = box.x + index * (size + gap);
+    const iconY = box.y + (box.height - size) / 2;
+    drawIcon(iconX, iconY, false);
+
+    if (iconRatio > 0) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(iconX, iconY, size * iconRatio, size);
+      ctx.clip();
+      drawIcon(iconX, iconY, true);
+      ctx.restore();
+    }
+  });
+}
+
+/**
+ * 호를 감싸는 영역 (선 두께 포함, 원형 게이지의 span: 'fill' 그라디언트 기준)
+ */
+function getArcBounds(centerX, centerY, radius, start, end, thickness) {
+  // 양 끝과 사이에 있는 상하좌우 꼭짓점
+  const angles = [start, end];
+  for (let quarter = Math.ceil(start / (Math.PI / 2)); quarter * (Math.PI / 2) < end; quarter++) {
+    angles.push(quarter * (Math.PI / 2));
+  }
+  const xs = angles.map(angle => centerX + radius * Math.cos(angle));
+  const ys = angles.map(angle => centerY + radius * Math.sin(angle));
+  const pad = thickness / 2;
+  const x = Math.min(...xs) - pad;
+  const y = Math.min(...ys) - pad;
+  return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y };
+}
+
+/**
+ * 원형 게이지 (startAngle: 12시 방향 기준 시계 방향 각도, sweep: 전체 각도)
+ * 채움색 그라디언트의 span이 'fill'이면 채워진 호를 감싸는 영역 기준
+ */
+function drawRadialMeter(ctx, box, element, styles, ratio) {
+  const d = ELEMENT_DEFAULTS.bar;
+  const thickness = styles.thickness ?? 10;
+  const radius = Math.max(0, Math.min(box.width, box.height) / 2 - thickness / 2);
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  const start = ((styles.startAngle ?? 0) - 90) * Math.PI / 180;
+  const sweep = (styles.sweep ?? 360) * Math.PI / 180;
+
+  ctx.lineWidth = thickness;
+  ctx.lineCap = styles.lineCap ?? 'round';
+
+  ctx.strokeStyle = resolvePaint(ctx, styles.backgroundColor ?? d.backgroundColor, box);
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, start, start + sweep);
+  ctx.stroke();
+
+  if (ratio > 0) {
+    const end = start + sweep * ratio;
+    const paint = styles.fillColor ?? d.fillColor;
+    ctx.strokeStyle = resolvePaint(ctx, paint, isPlainObject(paint) && paint.span === 'fill'
+      ? getArcBounds(centerX, centerY, radius, start, end, thickness)
+      : box);
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, start, end);
+    ctx.stroke();
+  }
+}
+
+/**
+ * 양방향 바 (기준점 origin에서 값 쪽으로 채움, 음수 쪽은 negativeColor)
+ * 채움 부분은 항상 바 도형으로 잘라 그림
+ */
+function drawBidirectionalMeter(ctx, box, element, styles, ratio, state) {
+  const d = ELEMENT_DEFAULTS.bar;
+  const shape = resolveShape(styles, state.clipPaths, d.borderRadius);
+  const trackPath = createShapePath(box, shape);
+
+  ctx.fillStyle = resolvePaint(ctx, styles.backgroundColor ?? d.backgroundColor, box);
+  ctx.fill(trackPath);
+
+  const origin = element.origin ?? 0;
+  const originX = box.x + box.width * getRangeRatio(state, origin);
+  const valueX = box.x + box.width * ratio;
+  const fillBox = { x: Math.min(originX, valueX), y: box.y, width: Math.abs(valueX - originX), height: box.height };
+  if (fillBox.width > 0) {
+    const paint = state.value < origin ? (styles.negativeColor ?? d.negativeColor) : (styles.fillColor ?? d.fillColor);
+    ctx.save();
+    ctx.clip(trackPath);
+    ctx.fillStyle = resolvePaint(ctx, paint, isPlainObject(paint) && paint.span === 'fill' ? fillBox : box);
+    ctx.fillRect(fillBox.x, fillBox.y, fillBox.width, fillBox.height);
+    ctx.restore();
+  }
+
+  // 기준선
+  const zeroLineWidth = styles.zeroLineWidth ?? 2;
+  if (zeroLineWidth > 0) {
+    ctx.fillStyle = resolvePaint(ctx, styles.zeroLineColor ?? '#333', box);
+    ctx.fillRect(originX - zeroLineWidth / 2, box.y, zeroLineWidth, box.height);
+  }
+}
+
+/**
+ * 미터 종류별 그리기 함수
+ */
+const METER_RENDERERS = {
+  bar: drawBarMeter,
+  segmented: drawSegmentedMeter,
+  icons: drawIconMeter,
+  radial: drawRadialMeter,
+  bidirectional: drawBidirectionalMeter
+};
+
+/**
+ * 호감도 바 요소 그리기 (meter: bar | segmented | icons | radial)
+ */
+function drawBarElement(ctx, element, state) {
+  const d = ELEMENT_DEFAULTS.bar;
+  const layout = element.layout || {};
+  const box = {
+    x: layout.x ?? d.x,
+    y: layout.y ?? d.y,
+    width: layout.width ?? d.width,
+    height: layout.height ?? d.height
+  };
+
+  const drawMeter = METER_RENDERERS[element.meter || 'bar'];
+  if (!drawMeter) {
+    throw new Error(`알 수 없는 meter: ${element.meter}`);
+  }
+  const statState = getStatState(state, element);
+  drawMeter(ctx, box, element, element.styles || {}, getFillRatio(statState), statState);
+  return box;
+}
+
+/**
+ * 요소 타입별 그리기 함수 (그려진 영역 { x, y, width, height } 반환)
+ */
+const ELEMENT_RENDERERS = {
+  rect: drawRectElement,
+  image: drawImageElement,
+  text: drawTextElement,
+  name: drawTextElement,
+  value: drawTextElement,
+  tier: drawTextElement,
+  bar: drawBarElement
+};
+
+/**
+ * 호감도 창 렌더링
+ * value: 첫 번째 스탯의 값 또는 { 스탯 키: 값 }
+ * imageBuffer: 캐릭터 이미지(image.webp), extraImages: 요소 src 파일명 → 이미지 버퍼 (디코딩된 Image도 가능)
+ * options.displayValue: 수치 텍스트에 표시할 값, value와 같은 형식 (기본값: value), options.logTimings: 성능 로그 출력 여부
+ * options.previousValue: 이전 값, value와 같은 형식 (템플릿 {delta} 기준, 기본값: value)
+ * options.scale: 출력 배율 (기본값: 1), options.fonts: loadConfigFonts 결과 (폰트 별칭 → 등록된 패밀리)
+ * options.elementBounds: 배열을 넘기면 요소별 그려진 영역과 레이아웃 경로를 채움 (편집기용)
+ */
+async function renderAffectionWindow(config, value, imageBuffer = null, extraImages = {}, options = {}) {
+  const startTime = performance.now();
+  const timings = {};
+  
+  try {
+    // 호감도 단계 스타일 적용 (첫 번째 스탯 기준)
+    const values = resolveStatValues(config, value);
+    const tier = resolveTier(config, getPrimaryStatValue(config, values));
+    config = applyTierOverrides(config, tier);
+    
+    // Canvas 크기 설정
+    const canvasStart = performance.now();
+    const containerWidth = config.container?.layout?.width ?? 400;
+    const containerHeight = config.container?.layout?.height ?? 200;
+    
+    const scale = options.scale || 1;
+    const canvas = createCanvas(Math.round(containerWidth * scale), Math.round(containerHeight * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    timings.canvasCreate = performance.now() - canvasStart;
+    
+    // 이미지 로드 (요소/컨테이너에서 사용하는 이미지만, 단계 이미지가 있으면 캐릭터 이미지 대체)
+    const elements = getElements(config);
+    const images = {};
+    const imageStart = performance.now();
+    let tierImage = null;
+    try {
+      tierImage = getTierImageFilename(tier);
+    } catch (error) {
+      log.warn('단계', error.message);
+    }
+    const buffers = { ...extraImages, character: (tierImage && extraImages[tierImage]) || imageBuffer };
+    for (const src of new Set([...collectImageSources(elements), ...getContainerImageSources(config)])) {
+      if (!buffers[src]) continue;
+      try {
+        // 이미 디코딩된 이미지(캐시)는 그대로 사용
+        images[src] = buffers[src] instanceof Image ? buffers[src] : await loadImage(buffers[src]);
+      } catch (imgError) {
+        log.error('이미지', '로드 실패', { src, error: imgError.message });
+        // 이미지 로드 실패해도 계속 진행
+      }
+    }
+    if (Object.keys(images).length > 0) {
+      timings.imageLoad = performance.now() - imageStart;
+      log.debug('이미지', '파싱 완료', { ms: roundMs(timings.imageLoad) });
+    }
+    
+    // 배경 그리기 (색상/그라디언트 → 배경 이미지 → 프레임(below) → 테두리)
+    const bgStart = performance.now();
+    const containerStyles = config.container?.styles || {};
+    const containerBox = { x: 0, y: 0, width: containerWidth, height: containerHeight };
+    const clipPaths = isPlainObject(config.clipPaths) ? config.clipPaths : {};
+    const containerShape = resolveShape(containerStyles, clipPaths, 10);
+    const containerPath = createShapePath(containerBox, containerShape);
+    const borderWidth = containerStyles.borderWidth ?? 2;
+    
+    ctx.fillStyle = resolvePaint(ctx, containerStyles.backgroundColor ?? '#f0f0f0', containerBox);
+    ctx.fill(containerPath);
+    
+    if (containerStyles.backgroundImage) {
+      const backgroundImage = images[containerStyles.backgroundImage];
+      if (backgroundImage) {
+        ctx.save();
+        ctx.clip(containerPath);
+        drawImageFit(ctx, backgroundImage, containerBox, containerStyles.backgroundSize || 'cover');
+        ctx.restore();
+      } else {
+        log.warn('이미지', '배경 이미지가 없습니다', { src: containerStyles.backgroundImage });
+      }
+    }
+    
+    const frame = isPlainObject(config.container?.frame) ? config.container.frame : null;
+    if (frame && frame.layer === 'below') {
+      drawFrame(ctx, frame, containerBox, images);
+    }
+    
+    // 테두리 그리기
+    if (borderWidth > 0) {
+      const inset = insetShape(containerBox, containerShape, borderWidth / 2);
+      ctx.strokeStyle = resolvePaint(ctx, containerStyles.borderColor ?? '#333', containerBox);
+      ctx.lineWidth = borderWidth;
+      ctx.stroke(createShapePath(inset.box, inset.shape));
+    }
+    timings.background = performance.now() - bgStart;
+    
+    // 요소 그리기 (zIndex 순서)
+    const displayValues = resolveStatValues(config, options.displayValue ?? values);
+    const previousValues = resolveStatValues(config, options.previousValue ?? values);
+    const stats = {};
+    getStats(config).forEach(stat => {
+      stats[stat.key] = {
+        value: values[stat.key],
+        displayValue: displayValues[stat.key],
+        previousValue: previousValues[stat.key],
+        label: stat.label,
+        minAffection: stat.minAffection,
+        maxAffection: stat.maxAffection
+      };
+    });
+    const state = {
+      config,
+      stats,
+      primaryStat: getStats(config)[0].key,
+      tier,
+      images,
+      defaultStyle: config.defaultStyle || {},
+      fontSettings: config.fontSettings || {},
+      fonts: options.fonts || {},
+      clipPaths
+    };
+    const elementTimings = {};
+    elements.forEach((element, index) => {
+      const draw = ELEMENT_RENDERERS[element.type];
+      if (!draw) {
+        log.warn('요소', '알 수 없는 타입', { type: element.type });
+        return;
+      }
+      const elementStart = performance.now();
+      ctx.save();
+      try {
+        const bounds = draw(ctx, element, state);
+        if (bounds && isPlainObject(element.frame)) {
+          drawFrame(ctx, element.frame, bounds, images);
+        }
+        if (options.elementBounds && bounds) {
+          const d = ELEMENT_DEFAULTS[element.type];
+          options.elementBounds.push({
+            id: element.id || null,
+            type: element.type,
+            layoutPath: getElementLayoutPath(config, element),
+            anchor: { x: element.layout?.x ?? d.x, y: element.layout?.y ?? d.y },
+            bounds
+          });
+        }
+      } catch (elementError) {
+        log.error('요소', '그리기 실패', { element: element.id || element.type, error: elementError.message });
+      }
+      ctx.restore();
+      elementTimings[element.id || `${element.type}#${index}`] = performance.now() - elementStart;
+    });
+    
+    // 컨테이너 프레임 (기본값: 요소 위에)
+    if (frame && frame.layer !== 'below') {
+      drawFrame(ctx, frame, containerBox, images);
+    }
+    
+    const renderTime = performance.now() - startTime;
+    timings.total = renderTime;
+    
+    // 성능 로그 (요소별 시간 포함)
+    if (options.logTimings !== false) {
+      const elementMs = {};
+      Object.entries(elementTimings).forEach(([id, time]) => {
+        elementMs[id] = roundMs(time);
+      });
+      log.debug('성능', '렌더링 시간', {
+        canvasMs: roundMs(timings.canvasCreate),
+        backgroundMs: roundMs(timings.background),
+        imageLoadMs: timings.imageLoad !== undefined ? roundMs(timings.imageLoad) : undefined,
+        elementMs,
+        totalMs: roundMs(timings.total)
+      });
+    }
+    
+    return canvas;
+  } catch (error) {
+    log.error('렌더링', '오류', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * 애니메이션 이징 함수
+ */
+const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * 애니메이션 설정 (setting.json의 animation)
+ */
+function getAnimationSettings(config) {
+  const animation = config.animation || {};
+  const frames = Math.min(120, Math.max(2, Math.round(animation.frames ?? 20)));
+  const duration = Math.min(10000, Math.max(100, animation.duration ?? 800));
+
+  return {
+    frames,
+    duration,
+    holdLast: Math.min(60000, Math.max(0, animation.holdLast ?? 1500)),
+    easing: EASINGS[animation.easing] ? animation.easing : 'easeOut',
+    loop: Math.max(0, Math.round(animation.loop ?? 0)),
+    format: animation.format === 'gif' ? 'gif' : 'webp'
+  };
+}
+
+/**
+ * 이전 값 → 새 값 애니메이션 프레임 목록 ({ value, displayValue, delay })
+ * fromValue, toValue: 첫 번째 스탯의 값 또는 { 스탯 키: 값 }, 프레임 값은 { 스탯 키: 값 } (스탯마다 따로 보간)
+ */
+function getAnimationFrames(config, fromValue, toValue) {
+  const settings = getAnimationSettings(config);
+  const ease = EASINGS[settings.easing];
+  const frameDelay = Math.round(settings.duration / (settings.frames - 1));
+  const fromValues = resolveStatValues(config, fromValue);
+  const toValues = resolveStatValues(config, toValue);
+  // 중간 표시 값은 양 끝 값의 소수 자릿수에 맞춰 반올림
+  const countDecimals = number => (String(number).split('.')[1] || '').length;
+  const precisions = {};
+  Object.keys(toValues).forEach(key => {
+    precisions[key] = 10 ** Math.min(10, Math.max(countDecimals(fromValues[key]), countDecimals(toValues[key])));
+  });
+
+  return Array.from({ length: settings.frames }, (_, i) => {
+    const progress = ease(i / (settings.frames - 1));
+    const isLast = i === settings.frames - 1;
+    const value = {};
+    const displayValue = {};
+    Object.keys(toValues).forEach(key => {
+      const frameValue = fromValues[key] + (toValues[key] - fromValues[key]) * progress;
+      value[key] = isLast ? toValues[key] : frameValue;
+      displayValue[key] = isLast ? toValues[key] : Math.round(frameValue * precisions[key]) / precisions[key];
+    });
+    return {
+      value,
+      displayValue,
+      delay: isLast ? Math.max(frameDelay, settings.holdLast) : frameDelay
+    };
+  });
+}
+
+/**
+ * WebP 파일에서 프레임 데이터 청크(ALPH, VP8, VP8L) 추출
+ */
+function extractWebPFrameData(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    throw new Error('올바른 WebP 데이터가 아닙니다');
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const fourCC = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const chunkEnd = offset + 8 + size + (size % 2);
+    if (fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L') {
+      chunks.push(buffer.subarray(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+  }
+  if (chunks.length === 0) {
+    throw new Error('WebP 프레임 데이터가 없습니다');
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * RIFF 청크 생성 (홀수 크기는 1바이트 패딩)
+ */
+function createRiffChunk(fourCC, payload) {
+  const header = Buffer.alloc(8);
+  header.write(fourCC, 0, 'ascii');
+  header.writeUInt32LE(payload.length, 4);
+  const padding = payload.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, payload, padding]);
+}
+
+/**
+ * 프레임별 WebP 버퍼를 애니메이션 WebP로 합치기
+ */
+function encodeAnimatedWebP(frames, width, height, loop = 0) {
+  const vp8x = Buffer.alloc(10);
+  vp8x.writeUInt8(0x10 | 0x02, 0); // 알파 + 애니메이션
+  vp8x.writeUIntLE(width - 1, 4, 3);
+  vp8x.writeUIntLE(height - 1, 7, 3);
+
+  const anim = Buffer.alloc(6);
+  anim.writeUInt32LE(0x00000000, 0); // 배경색 (투명)
+  anim.writeUInt16LE(loop, 4);
+
+  const anmfChunks = frames.map(frame => {
+    const header = Buffer.alloc(16);
+    header.writeUIntLE(0, 0, 3); // X / 2
+    header.writeUIntLE(0, 3, 3); // Y / 2
+    header.writeUIntLE(width - 1, 6, 3);
+    header.writeUIntLE(height - 1, 9, 3);
+    header.writeUIntLE(Math.min(0xffffff, frame.delay), 12, 3);
+    header.writeUInt8(0x02, 15); // 블렌딩 없음, 폐기 없음
+    return createRiffChunk('ANMF', Buffer.concat([header, extractWebPFrameData(frame.buffer)]));
+  });
+
+  const body = Buffer.concat([
+    Buffer.from('WEBP', 'ascii'),
+    createRiffChunk('VP8X', vp8x),
+    createRiffChunk('ANIM', anim),
+    ...anmfChunks
+  ]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+/**
+ * 호감도 변화 애니메이션 렌더링 (프레임마다 renderAffectionWindow 사용)
+ * output: 출력 옵션 (format이 gif/webp로 명시되면 animation.format 대신 사용)
+ * renderOptions: renderAffectionWindow에 전달할 옵션 (fonts 등)
+ */
+async function renderAffectionAnimation(config, fromValue, toValue, imageBuffer = null, extraImages = {}, output = DEFAULT_OUTPUT, renderOptions = {}) {
+  const startTime = performance.now();
+  const settings = getAnimationSettings(config);
+  const frames = getAnimationFrames(config, fromValue, toValue);
+
+  if (output.explicit) {
+    if (output.format === 'gif' || output.format === 'webp') {
+      settings.format = output.format;
+    } else {
+      log.warn('애니메이션', '애니메이션을 지원하지 않는 형식입니다', { format: output.format, fallback: settings.format });
+    }
+  }
+
+  let width = 0;
+  let height = 0;
+  let gifEncoder = null;
+  const webpFrames = [];
+  const timings = { render: 0, encode: 0 };
+
+  for (const frame of frames) {
+    const frameStart = performance.now();
+    const canvas = await renderAffectionWindow(config, frame.value, imageBuffer, extraImages, {
+      ...renderOptions,
+      displayValue: frame.displayValue,
+      previousValue: fromValue,
+      logTimings: false,
+      scale: output.scale
+    });
+    width = canvas.width;
+    height = canvas.height;
+    const encodeStart = performance.now();
+    timings.render += encodeStart - frameStart;
+
+    if (settings.format === 'gif') {
+      if (!gifEncoder) {
+        gifEncoder = new GifEncoder(width, height, { repeat: settings.loop });
+      }
+      const imageData = canvas.getContext('2d').getImageData(0, 0, width, height);
+      gifEncoder.addFrame(new Uint8Array(imageData.data.buffer), width, height, { delay: frame.delay });
+    } else {
+      webpFrames.push({ buffer: encodeCanvas(canvas, { ...output, format: 'webp' }), delay: frame.delay });
+    }
+    timings.encode += performance.now() - encodeStart;
+  }
+
+  const finishStart = performance.now();
+  const buffer = settings.format === 'gif'
+    ? gifEncoder.finish()
+    : encodeAnimatedWebP(webpFrames, width, height, settings.loop);
+  timings.encode += performance.now() - finishStart;
+
+  log.debug('애니메이션', '완료', { from: formatStatValues(fromValue), to: formatStatValues(toValue), frames: frames.length, format: settings.format, ms: roundMs(performance.now() - startTime) });
+  return {
+    buffer,
+    contentType: settings.format === 'gif' ? 'image/gif' : 'image/webp',
+    timings
+  };
+}
+
+/**
+ * setting.json 스키마 (JSON Schema 형식의 부분 집합)
+ * type, properties, additionalProperties, items, enum, minimum, exclusiveMinimum, maximum, anyOf, check(사용자 검사)
+ * limit: true인 maximum은 렌더링 한도 (assertRenderLimits에서 넘으면 거절)
+ */
+const SOLID_COLOR_SCHEMA = { type: 'string' };
+const GRADIENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { enum: ['linear', 'radial'] },
+    angle: { type: 'number' },
+    center: { type: 'array', items: { type: 'number' } },
+    radius: { type: 'number', minimum: 0 },
+    span: { enum: ['track', 'fill'] },
+    stops: {
+      type: 'array',
+      items: {
+        anyOf: [
+          SOLID_COLOR_SCHEMA,
+          { type: 'object', properties: { offset: { type: 'number', minimum: 0, maximum: 1 }, color: SOLID_COLOR_SCHEMA } }
+        ]
+      }
+    }
+  },
+  check(value, jsonPath, result) {
+    if (!Array.isArray(value.stops) || value.stops.length === 0) {
+      result.errors.push({ path: `${jsonPath}.stops`, message: '그라디언트에는 stops가 하나 이상 필요합니다' });
+    }
+  }
+};
+const COLOR_SCHEMA = { anyOf: [SOLID_COLOR_SCHEMA, GRADIENT_SCHEMA] };
+const BOX_VALUES_SCHEMA = {
+  anyOf: [
+    { type: 'number', minimum: 0 },
+    {
+      type: 'array',
+      items: { type: 'number', minimum: 0 },
+      check(value, jsonPath, result) {
+        if (value.length < 1 || value.length > 4) {
+          result.errors.push({ path: jsonPath, message: `값은 1~4개여야 합니다 (현재: ${value.length}개)` });
+        }
+      }
+    }
+  ]
+};
+const SHAPE_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { enum: ['rect', 'ellipse', 'circle', 'polygon', 'path'] },
+    radius: BOX_VALUES_SCHEMA,
+    points: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+    d: { type: 'string' },
+    viewBox: { type: 'array', items: { type: 'number', exclusiveMinimum: 0 } }
+  },
+  check(value, jsonPath, result) {
+    if (value.type === 'polygon' && (!Array.isArray(value.points) || value.points.length < 3)) {
+      result.errors.push({ path: `${jsonPath}.points`, message: 'polygon에는 점이 3개 이상 필요합니다' });
+    }
+    if (value.type === 'path' && typeof value.d !== 'string') {
+      result.errors.push({ path: `${jsonPath}.d`, message: 'path에는 SVG 경로 문자열 d가 필요합니다' });
+    }
+  }
+};
+const CLIP_PATH_SCHEMA = { anyOf: [{ type: 'string' }, SHAPE_SCHEMA] };
+const FRAME_SCHEMA = {
+  type: 'object',
+  properties: {
+    image: { type: 'string' },
+    slice: BOX_VALUES_SCHEMA,
+    width: BOX_VALUES_SCHEMA,
+    fill: { type: 'boolean' },
+    layer: { enum: ['above', 'below'] }
+  },
+  check(value, jsonPath, result) {
+    if (typeof value.image !== 'string') {
+      result.errors.push({ path: `${jsonPath}.image`, message: '프레임 이미지 파일명(image)이 필요합니다' });
+    }
+  }
+};
+const TEXT_LAYOUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    maxWidth: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+const BOX_LAYOUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number', minimum: 0, maximum: MAX_CANVAS_SIZE, limit: true },
+    height: { type: 'number', minimum: 0, maximum: MAX_CANVAS_SIZE, limit: true }
+  }
+};
+const TEXT_STYLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    fontSize: { type: 'number', exclusiveMinimum: 0 },
+    fontWeight: { type: ['string', 'number'] },
+    fontStyle: { enum: ['normal', 'italic', 'oblique'] },
+    fontFamily: { type: 'string' },
+    color: COLOR_SCHEMA,
+    fill: COLOR_SCHEMA,
+    textAlign: { enum: ['left', 'center', 'right', 'start', 'end'] },
+    verticalAlign: { enum: ['top', 'middle', 'bottom'] },
+    overflow: { enum: ['wrap', 'shrink'] },
+    minFontSize: { type: 'number', exclusiveMinimum: 0 },
+    lineHeight: { type: 'number', exclusiveMinimum: 0 },
+    letterSpacing: { type: 'number' },
+    strokeColor: COLOR_SCHEMA,
+    strokeWidth: { type: 'number', minimum: 0 },
+    shadowColor: SOLID_COLOR_SCHEMA,
+    shadowBlur: { type: 'number', minimum: 0 },
+    shadowOffsetX: { type: 'number' },
+    shadowOffsetY: { type: 'number' }
+  }
+};
+const BOX_STYLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    backgroundColor: COLOR_SCHEMA,
+    borderWidth: { type: 'number', minimum: 0 },
+    borderColor: COLOR_SCHEMA,
+    borderRadius: BOX_VALUES_SCHEMA,
+    clipPath: CLIP_PATH_SCHEMA
+  }
+};
+const IMAGE_FILTERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    grayscale: { type: 'number', minimum: 0, maximum: 1 },
+    sepia: { type: 'number', minimum: 0, maximum: 1 },
+    invert: { type: 'number', minimum: 0, maximum: 1 },
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    saturate: { type: 'number', minimum: 0 },
+    brightness: { type: 'number', minimum: 0 },
+    contrast: { type: 'number', minimum: 0 },
+    hueRotate: { type: 'number' },
+    blur: { type: 'number', minimum: 0 },
+    tint: {
+      type: 'object',
+      properties: { color: COLOR_SCHEMA, amount: { type: 'number', minimum: 0, maximum: 1 } }
+    }
+  }
+};
+const IMAGE_STYLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    borderWidth: { type: 'number', minimum: 0 },
+    borderColor: COLOR_SCHEMA,
+    borderRadius: BOX_VALUES_SCHEMA,
+    clipPath: CLIP_PATH_SCHEMA,
+    objectFit: { enum: ['fill', 'cover', 'contain'] },
+    objectPosition: {
+      type: 'array',
+      items: { type: 'number', minimum: 0, maximum: 1 },
+      check(value, jsonPath, result) {
+        if (value.length !== 2) {
+          result.errors.push({ path: jsonPath, message: 'objectPosition은 [u, v] 두 값이어야 합니다' });
+        }
+      }
+    },
+    crop: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', minimum: 0 },
+        y: { type: 'number', minimum: 0 },
+        width: { type: 'number', exclusiveMinimum: 0 },
+        height: { type: 'number', exclusiveMinimum: 0 }
+      }
+    },
+    mask: { type: 'string' },
+    filters: IMAGE_FILTERS_SCHEMA
+  }
+};
+// 이미지 요소와 characterImage 섹션의 대체 이미지, 값 조건 필터
+const IMAGE_PROPERTIES = {
+  stat: { type: 'string' },
+  placeholder: {
+    anyOf: [
+      { type: ['string', 'boolean'] },
+      {
+        type: 'object',
+        properties: { image: { type: 'string' }, backgroundColor: COLOR_SCHEMA, color: COLOR_SCHEMA }
+      }
+    ]
+  },
+  filterRules: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { min: { type: 'number' }, max: { type: 'number' }, filters: IMAGE_FILTERS_SCHEMA },
+      check(rule, jsonPath, result) {
+        if (!isPlainObject(rule.filters)) {
+          result.errors.push({ path: `${jsonPath}.filters`, message: 'filters가 필요합니다' });
+        }
+        if (typeof rule.min === 'number' && typeof rule.max === 'number' && rule.min > rule.max) {
+          result.errors.push({ path: jsonPath, message: `min(${rule.min})이 max(${rule.max})보다 큽니다` });
+        }
+      }
+    }
+  }
+};
+const BAR_STYLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    backgroundColor: COLOR_SCHEMA,
+    fillColor: COLOR_SCHEMA,
+    negativeColor: COLOR_SCHEMA,
+    zeroLineColor: COLOR_SCHEMA,
+    zeroLineWidth: { type: 'number', minimum: 0 },
+    borderRadius: BOX_VALUES_SCHEMA,
+    clipPath: CLIP_PATH_SCHEMA,
+    gap: { type: 'number', minimum: 0 },
+    partial: { type: 'boolean' },
+    emptyOpacity: { type: 'number', minimum: 0, maximum: 1 },
+    thickness: { type: 'number', exclusiveMinimum: 0 },
+    startAngle: { type: 'number' },
+    sweep: { type: 'number', exclusiveMinimum: 0, maximum: 360 },
+    lineCap: { enum: ['butt', 'round', 'square'] }
+  }
+};
+const METER_PROPERTIES = {
+  meter: { enum: ['bar', 'segmented', 'icons', 'radial', 'bidirectional'] },
+  count: { type: 'integer', minimum: 1, maximum: MAX_METER_COUNT, limit: true },
+  icon: { type: 'string' },
+  emptyIcon: { type: 'string' },
+  origin: { type: 'number' }
+};
+
+/**
+ * 템플릿 자리표시자 검사 (알 수 없는 필드는 경고, 그대로 출력됨)
+ */
+function checkTextTemplate(text, jsonPath, result) {
+  if (typeof text !== 'string') return;
+  for (const [match, , field] of text.matchAll(TEMPLATE_PATTERN)) {
+    if (field && !TEMPLATE_FIELDS.includes(field)) {
+      result.warnings.push({
+        path: jsonPath,
+        message: `알 수 없는 자리표시자: ${match} (가능: ${TEMPLATE_FIELDS.map(f => `{${f}}`).join(', ')})`
+      });
+    }
+  }
+}
+const TEMPLATE_TEXT_SCHEMA = { type: 'string', check: checkTextTemplate };
+
+const VALUE_PROPERTIES = {
+  format: {
+    type: 'string',
+    check(format, jsonPath, result) {
+      if (!VALUE_FORMATS.includes(format) && !isTextTemplate(format)) {
+        result.errors.push({
+          path: jsonPath,
+          message: `허용되지 않는 값: ${JSON.stringify(format)} (가능: ${VALUE_FORMATS.map(v => JSON.stringify(v)).join(', ')} 또는 "{value}/{max}" 같은 템플릿)`
+        });
+        return;
+      }
+      checkTextTemplate(format, jsonPath, result);
+    }
+  },
+  decimals: { type: 'integer', minimum: 0, maximum: 10 }
+};
+
+/**
+ * 요소 타입별 스키마 (공통 필드 + 타입별 필드)
+ */
+const ELEMENT_COMMON_PROPERTIES = {
+  type: { type: 'string' },
+  id: { type: 'string' },
+  zIndex: { type: 'number' },
+  visible: { type: 'boolean' },
+  frame: FRAME_SCHEMA
+};
+const ELEMENT_SCHEMAS = {
+  image: { src: { type: 'string' }, ...IMAGE_PROPERTIES, styles: IMAGE_STYLE_SCHEMA, layout: BOX_LAYOUT_SCHEMA },
+  name: { styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA },
+  value: { ...VALUE_PROPERTIES, stat: { type: 'string' }, label: { type: 'string' }, styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA },
+  text: { text: { type: ['string', 'number'], check: checkTextTemplate }, stat: { type: 'string' }, decimals: VALUE_PROPERTIES.decimals, styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA },
+  tier: { styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA },
+  rect: { styles: BOX_STYLE_SCHEMA, layout: BOX_LAYOUT_SCHEMA },
+  bar: { ...METER_PROPERTIES, stat: { type: 'string' }, styles: BAR_STYLE_SCHEMA, layout: BOX_LAYOUT_SCHEMA }
+};
+
+const STAT_SCHEMA = {
+  type: 'object',
+  properties: {
+    key: { type: 'string' },
+    label: { type: 'string' },
+    minAffection: { type: 'number' },
+    maxAffection: { type: 'number', exclusiveMinimum: 0 },
+    default: { type: 'number' },
+    value: {
+      type: 'object',
+      properties: { ...VALUE_PROPERTIES, label: { type: 'string' }, styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA }
+    },
+    bar: { type: 'object', properties: { ...METER_PROPERTIES, styles: BAR_STYLE_SCHEMA, layout: BOX_LAYOUT_SCHEMA } }
+  },
+  check(stat, jsonPath, result) {
+    if (typeof stat.key !== 'string' || !/^\w+$/.test(stat.key)) {
+      result.errors.push({ path: `${jsonPath}.key`, message: '스탯 key가 필요합니다 (영문, 숫자, _만 사용)' });
+    } else if (RESERVED_STAT_KEYS.includes(stat.key)) {
+      result.errors.push({ path: `${jsonPath}.key`, message: `URL 쿼리 옵션과 겹치는 이름은 쓸 수 없습니다: ${stat.key} (사용 불가: ${RESERVED_STAT_KEYS.join(', ')})` });
+    }
+    if (typeof stat.minAffection === 'number' && stat.minAffection >= getMaxAffection(stat)) {
+      result.errors.push({
+        path: `${jsonPath}.minAffection`,
+        message: `minAffection(${stat.minAffection})은 maxAffection(${getMaxAffection(stat)})보다 작아야 합니다`
+      });
+    }
+  }
+};
+
+const FONT_FACE_SCHEMA = {
+  type: 'object',
+  properties: {
+    file: { type: 'string' },
+    family: { type: 'string' },
+    weight: { type: ['string', 'number'] },
+    style: { enum: ['normal', 'italic', 'oblique'] },
+    shared: { type: 'boolean' }
+  },
+  check(face, jsonPath, result) {
+    if (!face.file && !face.family) {
+      result.errors.push({ path: jsonPath, message: 'file 또는 family 중 하나가 필요합니다' });
+    }
+  }
+};
+
+const SETTING_SCHEMA = {
+  type: 'object',
+  properties: {
+    characterName: {
+      check(value, jsonPath, result) {
+        if (typeof value === 'string') return;
+        result.errors.push({
+          path: jsonPath,
+          message: isPlainObject(value)
+            ? 'characterName은 이름 문자열입니다. 이름 스타일은 characterNameStyle에 지정하세요'
+            : `string 형식이어야 합니다 (현재: ${getJsonType(value)})`
+        });
+      }
+    },
+    minAffection: { type: 'number' },
+    maxAffection: { type: 'number', exclusiveMinimum: 0 },
+    locale: {
+      type: 'string',
+      check(locale, jsonPath, result) {
+        try {
+          getNumberFormatter(locale);
+        } catch (error) {
+          result.errors.push({ path: jsonPath, message: `잘못된 로케일입니다: ${JSON.stringify(locale)} (예: "ko-KR", "en-US")` });
+        }
+      }
+    },
+    stats: { type: 'array', items: STAT_SCHEMA },
+    extends: { anyOf: [{ type: ['string', 'boolean'] }, { type: 'array', items: { type: 'string' } }] },
+    imageUrl: {},
+    clipPaths: { type: 'object', additionalProperties: SHAPE_SCHEMA },
+    container: {
+      type: 'object',
+      properties: {
+        styles: {
+          type: 'object',
+          properties: {
+            ...BOX_STYLE_SCHEMA.properties,
+            padding: { type: 'number', minimum: 0 },
+            backgroundImage: { type: 'string' },
+            backgroundSize: { enum: ['cover', 'contain', 'fill'] }
+          }
+        },
+        frame: FRAME_SCHEMA,
+        layout: {
+          type: 'object',
+          properties: {
+            width: { type: 'number', exclusiveMinimum: 0, maximum: MAX_CANVAS_SIZE, limit: true },
+            height: { type: 'number', exclusiveMinimum: 0, maximum: MAX_CANVAS_SIZE, limit: true }
+          }
+        }
+      }
+    },
+    characterNameStyle: { type: 'object', properties: { styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA } },
+    characterImage: { type: 'object', properties: { ...IMAGE_PROPERTIES, styles: IMAGE_STYLE_SCHEMA, layout: BOX_LAYOUT_SCHEMA } },
+    affectionValue: {
+      type: 'object',
+      properties: { ...VALUE_PROPERTIES, styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA }
+    },
+    affectionBar: { type: 'object', properties: { ...METER_PROPERTIES, styles: BAR_STYLE_SCHEMA, layout: BOX_LAYOUT_SCHEMA } },
+    tierLabel: { type: 'object', properties: { styles: TEXT_STYLE_SCHEMA, layout: TEXT_LAYOUT_SCHEMA } },
+    defaultStyle: TEXT_STYLE_SCHEMA,
+    fontSettings: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string' },
+        r2FontFilename: { type: 'string' },
+        r2FontShared: { type: 'boolean' },
+        nameFontFamily: { type: 'string' },
+        valueFontFamily: { type: 'string' }
+      }
+    },
+    fonts: {
+      type: 'object',
+      additionalProperties: { anyOf: [FONT_FACE_SCHEMA, { type: 'array', items: FONT_FACE_SCHEMA }] }
+    },
+    elements: {
+      type: 'array',
+      items: { type: 'object', check: checkElement }
+    },
+    tiers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          label: TEMPLATE_TEXT_SCHEMA,
+          min: { type: 'number' },
+          max: { type: 'number' },
+          image: { type: ['boolean', 'string'] },
+          overrides: { type: 'object', additionalProperties: { type: 'object' } }
+        },
+        check(tier, jsonPath, result) {
+          if (typeof tier.min === 'number' && typeof tier.max === 'number' && tier.min > tier.max) {
+            result.errors.push({ path: jsonPath, message: `min(${tier.min})이 max(${tier.max})보다 큽니다` });
+          }
+          if (tier.image === true && !tier.name) {
+            result.errors.push({ path: `${jsonPath}.image`, message: 'image: true는 name이 있어야 합니다 (image_{name}.webp)' });
+          }
+        }
+      }
+    },
+    animation: {
+      type: 'object',
+      properties: {
+        frames: { type: 'integer', minimum: 2, maximum: 120 },
+        duration: { type: 'number', minimum: 100, maximum: 10000 },
+        holdLast: { type: 'number', minimum: 0, maximum: 60000 },
+        easing: { enum: Object.keys(EASINGS) },
+        loop: { type: 'integer', minimum: 0 },
+        format: { enum: ['webp', 'gif'] }
+      }
+    }
+  },
+  check: checkSettingSemantics
+};
+
+/**
+ * 요소 검사 (type에 맞는 스키마로 검증)
+ */
+function checkElement(element, jsonPath, result) {
+  if (!ELEMENT_SCHEMAS[element.type]) {
+    result.errors.push({
+      path: `${jsonPath}.type`,
+      message: `알 수 없는 요소 타입: ${JSON.stringify(element.type)} (가능: ${Object.keys(ELEMENT_SCHEMAS).join(', ')})`
+    });
+    return;
+  }
+  validateAgainstSchema(
+    { type: 'object', properties: { ...ELEMENT_COMMON_PROPERTIES, ...ELEMENT_SCHEMAS[element.type] } },
+    element,
+    jsonPath,
+    result
+  );
+}
+
+/**
+ * 필드 사이의 관계 검사 (사용되지 않는 필드, 중복 id, tiers.overrides 대상 등)
+ */
+function checkSettingSemantics(config, jsonPath, result) {
+  if (config.imageUrl !== undefined) {
+    result.warnings.push({
+      path: `${jsonPath}.imageUrl`,
+      message: 'imageUrl은 사용되지 않습니다. 캐릭터 이미지는 {bucket}/{name}/image.webp에서 가져옵니다'
+    });
+  }
+
+  if (typeof config.minAffection === 'number' && config.minAffection >= getMaxAffection(config)) {
+    result.errors.push({
+      path: `${jsonPath}.minAffection`,
+      message: `minAffection(${config.minAffection})은 maxAffection(${getMaxAffection(config)})보다 작아야 합니다`
+    });
+  }
+
+  // clipPath 이름 참조 확인
+  const clipPathNames = new Set(isPlainObject(config.clipPaths) ? Object.keys(config.clipPaths) : []);
+  const checkClipPathRefs = (value, valuePath) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => checkClipPathRefs(item, `${valuePath}[${index}]`));
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = `${valuePath}${formatJsonPathKey(key)}`;
+        if (key === 'clipPath' && typeof child === 'string' && !clipPathNames.has(child)) {
+          result.warnings.push({ path: childPath, message: `clipPaths에 없는 이름입니다: ${child}` });
+        } else if (key !== 'clipPaths') {
+          checkClipPathRefs(child, childPath);
+        }
+      });
+    }
+  };
+  checkClipPathRefs(config, jsonPath);
+
+  const elementIds = new Set();
+  if (Array.isArray(config.elements)) {
+    config.elements.forEach((element, index) => {
+      if (!isPlainObject(element) || !element.id) return;
+      if (elementIds.has(element.id)) {
+        result.warnings.push({ path: `${jsonPath}.elements[${index}].id`, message: `중복된 요소 id: ${element.id}` });
+      }
+      elementIds.add(element.id);
+    });
+  }
+
+  // 스탯 key 중복, 사용되지 않는 기존 필드, 요소의 stat 참조
+  const statKeys = new Set();
+  if (Array.isArray(config.stats)) {
+    config.stats.forEach((stat, index) => {
+      if (!isPlainObject(stat) || typeof stat.key !== 'string') return;
+      if (statKeys.has(stat.key)) {
+        result.errors.push({ path: `${jsonPath}.stats[${index}].key`, message: `중복된 스탯 key: ${stat.key}` });
+      }
+      statKeys.add(stat.key);
+    });
+    ['minAffection', 'maxAffection', 'affectionValue', 'affectionBar'].forEach(key => {
+      if (config[key] !== undefined) {
+        result.warnings.push({ path: `${jsonPath}${formatJsonPathKey(key)}`, message: `stats가 있으면 ${key}는 사용되지 않습니다 (각 스탯에 지정하세요)` });
+      }
+    });
+  }
+  const knownStats = statKeys.size > 0 ? statKeys : new Set([LEGACY_STAT_KEY]);
+  if (Array.isArray(config.elements)) {
+    config.elements.forEach((element, index) => {
+      if (isPlainObject(element) && typeof element.stat === 'string' && !knownStats.has(element.stat)) {
+        result.errors.push({ path: `${jsonPath}.elements[${index}].stat`, message: `stats에 없는 스탯입니다: ${element.stat}` });
+      }
+    });
+  }
+  if (typeof config.characterImage?.stat === 'string' && !knownStats.has(config.characterImage.stat)) {
+    result.errors.push({ path: `${jsonPath}.characterImage.stat`, message: `stats에 없는 스탯입니다: ${config.characterImage.stat}` });
+  }
+
+  if (Array.isArray(config.tiers)) {
+    const targets = new Set([...Object.keys(SETTING_SCHEMA.properties), ...elementIds, ...statKeys]);
+    config.tiers.forEach((tier, index) => {
+      if (!isPlainObject(tier) || !isPlainObject(tier.overrides)) return;
+      Object.keys(tier.overrides).forEach(key => {
+        if (!targets.has(key)) {
+          result.warnings.push({
+            path: `${jsonPath}.tiers[${index}].overrides${formatJsonPathKey(key)}`,
+            message: `덮어쓸 대상이 없습니다: ${key} (설정 섹션 이름, elements의 id 또는 stats의 key)`
+          });
+        }
+      });
+    });
+  }
+}
+
+/**
+ * JSON 경로 키 표기 (식별자는 .key, 그 외는 ["key"])
+ */
+function formatJsonPathKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * 편집 거리 (알 수 없는 필드 이름의 추천용)
+ */
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 스키마 검증 (오류/경고를 result.errors, result.warnings에 추가)
+ */
+function validateAgainstSchema(schema, value, jsonPath, result) {
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => {
+      const attempt = { errors: [], warnings: [] };
+      validateAgainstSchema(option, value, jsonPath, attempt);
+      return attempt;
+    });
+    const matched = attempts.find(attempt => attempt.errors.length === 0);
+    if (matched) {
+      result.warnings.push(...matched.warnings);
+    } else {
+      // 값과 형식이 같은 선택지의 오류를 보고 (없으면 첫 번째)
+      const actual = getJsonType(value);
+      const sameType = schema.anyOf.findIndex(option => [].concat(option.type || []).includes(actual));
+      result.errors.push(...attempts[Math.max(0, sameType)].errors);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = getJsonType(value);
+    const matches = types.some(type =>
+      type === actual || (type === 'integer' && Number.isInteger(value))
+    );
+    if (!matches || (actual === 'number' && !Number.isFinite(value))) {
+      const issue = { path: jsonPath, message: `${types.join(' 또는 ')} 형식이어야 합니다 (현재: ${actual})` };
+      result.errors.push(issue);
+      // 한도 항목은 숫자가 아니어도 한도를 확인할 수 없으므로 거절
+      if (schema.limit && result.limits) {
+        result.limits.push(issue);
+      }
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push({
+      path: jsonPath,
+      message: `허용되지 않는 값: ${JSON.stringify(value)} (가능: ${schema.enum.map(v => JSON.stringify(v)).join(', ')})`
+    });
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      result.errors.push({ path: jsonPath, message: `${schema.minimum} 이상이어야 합니다 (현재: ${value})` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      result.errors.push({ path: jsonPath, message: `${schema.exclusiveMinimum}보다 커야 합니다 (현재: ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      const issue = { path: jsonPath, message: `${schema.maximum} 이하여야 합니다 (현재: ${value})` };
+      result.errors.push(issue);
+      if (schema.limit && result.limits) {
+        result.limits.push(issue);
+      }
+    }
+  }
+
+  if (isPlainObject(value) && (schema.properties || schema.additionalProperties)) {
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const childPath = `${jsonPath}${formatJsonPathKey(key)}`;
+      if (properties[key]) {
+        validateAgainstSchema(properties[key], value[key], childPath, result);
+      } else if (schema.additionalProperties) {
+        validateAgainstSchema(schema.additionalProperties, value[key], childPath, result);
+      } else {
+        const suggestion = Object.keys(properties)
+          .map(known => ({ known, distance: levenshtein(key.toLowerCase(), known.toLowerCase()) }))
+          .filter(candidate => candidate.distance <= 2)
+          .sort((a, b) => a.distance - b.distance)[0];
+        result.warnings.push({
+          path: childPath,
+          message: `알 수 없는 필드: ${key}${suggestion ? ` (혹시 ${suggestion.known}?)` : ''}`
+        });
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateAgainstSchema(schema.items, item, `${jsonPath}[${index}]`, result);
+    });
+  }
+
+  if (schema.check) {
+    schema.check(value, jsonPath, result);
+  }
+}
+
+/**
+ * setting.json 검증
+ * 반환: { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+function validateConfig(config) {
+  const result = { errors: [], warnings: [] };
+  validateAgainstSchema(SETTING_SCHEMA, config, '$', result);
+  return { valid: result.errors.length === 0, ...result };
+}
+
+/**
+ * 렌더링 한도 검사 (창/요소 크기, 미터 칸 수, 출력 픽셀 수, 넘으면 400)
+ * 요청으로 받은 설정을 렌더링하기 전에 확인, 단계 overrides를 적용한 설정도 검사
+ * frames: 요청 하나에서 그리는 이미지 수 (값 여러 개 또는 애니메이션 프레임)
+ */
+function assertRenderLimits(config, output = DEFAULT_OUTPUT, frames = 1) {
+  const tiers = Array.isArray(config.tiers) ? config.tiers : [];
+  for (const candidate of [config, ...tiers.map(tier => applyTierOverrides(config, tier))]) {
+    const result = { errors: [], warnings: [], limits: [] };
+    validateAgainstSchema(SETTING_SCHEMA, candidate, '$', result);
+    if (result.limits.length > 0) {
+      const [issue] = result.limits;
+      throw createBadRequestError(`렌더링할 수 없는 설정입니다: ${issue.path} ${issue.message}`);
+    }
+
+    const scale = output.scale || 1;
+    const width = Math.round((candidate.container?.layout?.width ?? 400) * scale);
+    const height = Math.round((candidate.container?.layout?.height ?? 200) * scale);
+    if (width * height > MAX_OUTPUT_PIXELS) {
+      throw createBadRequestError(`이미지가 너무 큽니다: ${width}×${height} (최대 ${MAX_OUTPUT_PIXELS} 픽셀, scale 포함)`);
+    }
+    if (width * height * frames > MAX_RENDER_PIXELS) {
+      throw createBadRequestError(`그릴 픽셀이 너무 많습니다: ${width}×${height} × ${frames}장 (최대 ${MAX_RENDER_PIXELS} 픽셀)`);
+    }
+  }
+}
+
+/**
+ * 캐릭터 창들을 한 이미지로 합성 (칸 크기는 가장 큰 창 기준, 칸 안에서 align 정렬)
+ * cells: renderAffectionWindow 결과 (scale 적용된 크기), styles: party.json의 styles (backgroundColor, borderRadius, clipPath)
+ */
+function composePartyCanvas(cells, layout, styles, scale) {
+  const sizes = cells.map(cell => ({ width: cell.width / scale, height: cell.height / scale }));
+  const cellWidth = Math.max(...sizes.map(size => size.width));
+  const cellHeight = Math.max(...sizes.map(size => size.height));
+  const rows = Math.ceil(cells.length / layout.columns);
+  const box = {
+    x: 0,
+    y: 0,
+    width: layout.padding * 2 + cellWidth * layout.columns + layout.gap * (layout.columns - 1),
+    height: layout.padding * 2 + cellHeight * rows + layout.gap * (rows - 1)
+  };
+
+  const canvas = createCanvas(Math.round(box.width * scale), Math.round(box.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  if (styles.backgroundColor) {
+    ctx.fillStyle = resolvePaint(ctx, styles.backgroundColor, box);
+    ctx.fill(createShapePath(box, resolveShape(styles, {}, 0)));
+  }
+
+  const alignOffset = space => (layout.align === 'start' ? 0 : layout.align === 'end' ? space : space / 2);
+  cells.forEach((cell, index) => {
+    const column = index % layout.columns;
+    const row = Math.floor(index / layout.columns);
+    const { width, height } = sizes[index];
+    const x = layout.padding + column * (cellWidth + layout.gap) + alignOffset(cellWidth - width);
+    const y = layout.padding + row * (cellHeight + layout.gap) + alignOffset(cellHeight - height);
+    ctx.drawImage(cell, x, y, width, height);
+  });
+  return canvas;
+}
+
+/**
+ * 이미지 픽셀 비교 (골든 이미지 테스트, 크기가 다르면 모든 픽셀이 다른 것으로 봄)
+ * actual/expected: Buffer, 파일 경로 또는 Image, options.tolerance: 같은 픽셀로 볼 채널 값 차이 (0~255, 기본값: 0)
+ * 반환: { width, height, diffPixels, diffRatio, sizeMismatch, diffImage (다른 픽셀을 빨갛게 표시한 PNG, 크기가 다르면 null) }
+ */
+async function compareImages(actual, expected, options = {}) {
+  const [actualImage, expectedImage] = await Promise.all([actual, expected].map(image => (image instanceof Image ? image : loadImage(image))));
+  const tolerance = options.tolerance ?? 0;
+  const width = Math.max(actualImage.width, expectedImage.width);
+  const height = Math.max(actualImage.height, expectedImage.height);
+  if (actualImage.width !== expectedImage.width || actualImage.height !== expectedImage.height) {
+    return { width, height, diffPixels: width * height, diffRatio: 1, sizeMismatch: true, diffImage: null };
+  }
+
+  const getPixels = image => {
+    const ctx = createCanvas(width, height).getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const actualPixels = getPixels(actualImage);
+  const expectedPixels = getPixels(expectedImage);
+
+  // 다른 픽셀은 빨간색, 같은 픽셀은 기대 이미지를 흐린 회색으로
+  const diffCanvas = createCanvas(width, height);
+  const diffCtx = diffCanvas.getContext('2d');
+  const diffData = diffCtx.createImageData(width, height);
+  let diffPixels = 0;
+  for (let i = 0; i < actualPixels.length; i += 4) {
+    let delta = 0;
+    for (let channel = 0; channel < 4; channel++) {
+      delta = Math.max(delta, Math.abs(actualPixels[i + channel] - expectedPixels[i + channel]));
+    }
+    if (delta > tolerance) {
+      diffPixels++;
+      diffData.data.set([255, 0, 0, 255], i);
+    } else {
+      const gray = (expectedPixels[i] + expectedPixels[i + 1] + expectedPixels[i + 2]) / 3;
+      diffData.data.set([gray, gray, gray, expectedPixels[i + 3] * 0.3], i);
+    }
+  }
+  diffCtx.putImageData(diffData, 0, 0);
+
+  return {
+    width,
+    height,
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    sizeMismatch: false,
+    diffImage: diffCanvas.toBuffer('image/png')
+  };
+}
+
+/**
+ * 호감도 창 렌더링 (렌더러 API)
+ * config: setting.json 설정 (extends는 resolveConfigInheritance로 미리 적용), value: 값 또는 { 스탯 키: 값 }
+ * assets: { image: 캐릭터 이미지, images: { src: 추가 이미지 }, fonts: { 파일 이름: 폰트 Buffer } } (이미지는 Buffer, 파일 경로 또는 Image)
+ * options: { output: { format, quality, scale, lossless }, previousValue }
+ * 반환: 이미지 Buffer
+ */
+async function render(config, value, assets = {}, options = {}) {
+  const output = normalizeOutputOptions(options.output);
+  const fonts = await loadFontBuffers(config, assets.fonts || {});
+  const canvas = await renderAffectionWindow(config, value, assets.image || null, assets.images || {}, {
+    scale: output.scale,
+    fonts,
+    previousValue: options.previousValue
+  });
+  return encodeCanvas(canvas, output);
+}
+
+/**
+ * 호감도 변화 애니메이션 렌더링 (렌더러 API, 인자는 render와 같음)
+ * 출력 형식을 지정하지 않으면 설정의 animation.format (gif 또는 webp)
+ * 반환: 이미지 Buffer
+ */
+async function renderAnimation(config, fromValue, toValue, assets = {}, options = {}) {
+  const output = normalizeOutputOptions(options.output);
+  const fonts = await loadFontBuffers(config, assets.fonts || {});
+  const { buffer } = await renderAffectionAnimation(config, fromValue, toValue, assets.image || null, assets.images || {}, output, { fonts });
+  return buffer;
+}
+
+module.exports = {
+  // 렌더러 API
+  render,
+  renderAnimation,
+  compareImages,
+  validateConfig,
+  assertRenderLimits,
+  resolveConfigInheritance,
+  formatAffectionValue,
+  parseAffectionValue,
+  parseStatParams,
+  getStats,
+  getMinAffection,
+  getMaxAffection,
+  normalizeOutputOptions,
+
+  // 서버, 렌더링 워커, CLI용
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT,
+  registeredFonts,
+  registerFontFile,
+  loadConfigFonts,
+  loadFontBuffers,
+  getFontDefinitions,
+  getThemeKey,
+  renderAffectionWindow,
+  renderAffectionAnimation,
+  composePartyCanvas,
+  encodeCanvas,
+  createErrorImage,
+  normalizeOutputFormat,
+  resolveStatValues,
+  getLegacyStatKey,
+  getPrimaryStatValue,
+  formatStatValues,
+  resolveTier,
+  getAnimationSettings,
+  getAnimationFrames,
+  resolveImageSource,
+  getImageStorageKey,
+  getRenderImageSources,
+  isPlainObject
+};
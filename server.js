@@ -1,18 +1,50 @@
 require('dotenv').config();
 const express = require('express');
-const { createCanvas, loadImage, GlobalFonts } = require('@napi-rs/canvas');
 const fetch = require('node-fetch');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const os = require('os');
 const { performance } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+const { DEBUG, LOG_LEVEL, requestContext, writeLog, log, roundMs } = require('./logger');
+const { ERROR_CODES, createHttpError, createBadRequestError, createForbiddenError, restoreError } = require('./errors');
+const { createLruCache } = require('./lru-cache');
+const { createStateStore } = require('./state-store');
+const { runRenderTask } = require('./render-worker');
+const {
+  DEFAULT_OUTPUT,
+  registeredFonts,
+  registerFontFile,
+  loadConfigFonts,
+  loadFontBuffers,
+  resolveConfigInheritance,
+  validateConfig,
+  assertRenderLimits,
+  createErrorImage,
+  normalizeOutputFormat,
+  normalizeOutputOptions,
+  parseAffectionValue,
+  parseStatParams,
+  getStats,
+  resolveStatValues,
+  getLegacyStatKey,
+  getPrimaryStatValue,
+  formatStatValues,
+  resolveTier,
+  getAnimationSettings,
+  getAnimationFrames,
+  resolveImageSource,
+  getImageStorageKey,
+  getRenderImageSources,
+  isPlainObject
+} = require('./renderer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // 환경 변수 또는 기본값 설정
 const BASE_URL = process.env.BASE_URL || 'https://o.nfarmer.uk';
-const DEBUG = process.env.DEBUG === 'true' || false;
 
 // 폰트 캐시 디렉토리
 const FONT_CACHE_DIR = path.join(__dirname, '.font_cache');
@@ -20,433 +52,1862 @@ if (!fs.existsSync(FONT_CACHE_DIR)) {
   fs.mkdirSync(FONT_CACHE_DIR, { recursive: true });
 }
 
-const registeredFonts = new Set();
+// 캐시 설정 (TTL: 초, 크기: MB)
+const CONFIG_CACHE_TTL = Number(process.env.CONFIG_CACHE_TTL ?? 60) * 1000;
+const IMAGE_CACHE_TTL = Number(process.env.IMAGE_CACHE_TTL ?? 300) * 1000;
+const IMAGE_CACHE_MAX_MB = Number(process.env.IMAGE_CACHE_MAX_MB ?? 128);
+const RENDER_CACHE_MAX_MB = Number(process.env.RENDER_CACHE_MAX_MB ?? 64);
+const PURGE_TOKEN = process.env.PURGE_TOKEN || '';
 
-app.use(express.json());
+// 저장소 요청 제한 (시간: ms, 크기: bytes)
+const STORAGE_TIMEOUT_MS = Number(process.env.STORAGE_TIMEOUT_MS ?? 10000);
+const STORAGE_MAX_BYTES = Number(process.env.STORAGE_MAX_MB ?? 20) * 1024 * 1024;
+
+// 렌더링 워커 수 (0이면 메인 스레드에서 렌더링), 대기열 최대 길이, 종료 시 진행 중인 요청을 기다리는 최대 시간 (ms)
+const RENDER_WORKERS = Number(process.env.RENDER_WORKERS ?? Math.max(1, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1));
+const RENDER_QUEUE_MAX = Number(process.env.RENDER_QUEUE_MAX ?? 100);
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS ?? 30000);
+
+// 준비 상태 확인 (/health): 저장소에서 가져올 키 (비우면 응답 여부만 확인), 확인 시간 제한 (ms)
+const HEALTH_CHECK_KEY = process.env.HEALTH_CHECK_KEY || '';
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS ?? 3000);
+
+// POST /render 요청 본문 최대 크기 (업로드한 이미지/폰트 포함, MB)
+const RENDER_BODY_MAX_MB = Number(process.env.RENDER_BODY_MAX_MB ?? 20);
+
+// 사용자별 호감도 상태 저장소 (JSON 파일, 사용자마다 보관할 변경 기록 수)
+const STATE_FILE = process.env.STATE_FILE || path.join(__dirname, 'data', 'state.json');
+const STATE_HISTORY_MAX = Number(process.env.STATE_HISTORY_MAX ?? 50);
+const STATE_TOKEN = process.env.STATE_TOKEN || '';
+
+// 서명 URL (SIGNING_SECRET을 설정하면 이미지 요청에 서명 필요), 서명 도우미 토큰, 기본 유효 시간 (초)
+const SIGNING_SECRET = process.env.SIGNING_SECRET || '';
+const SIGN_TOKEN = process.env.SIGN_TOKEN || '';
+const SIGNED_URL_TTL = Number(process.env.SIGNED_URL_TTL ?? 86400);
+// 허용 버킷 목록 (쉼표 구분, 비우면 모든 버킷)
+const ALLOWED_BUCKETS = (process.env.ALLOWED_BUCKETS || '').split(',').map(bucket => bucket.trim()).filter(Boolean);
+
+// 요청 ID 형식 (클라이언트가 X-Request-Id를 보내면 그대로 사용)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+// 완료 로그를 debug 수준으로 남기는 라우트 (주기적인 확인 요청)
+const QUIET_ROUTES = ['/health', '/metrics'];
+
+// 요청 ID, 요청 완료 로그와 지표
+app.use((req, res, next) => {
+  const requestStart = performance.now();
+  const requestId = REQUEST_ID_PATTERN.test(req.get('x-request-id') || '') ? req.get('x-request-id') : crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'other';
+    const duration = performance.now() - requestStart;
+    httpRequestsTotal.inc({ route, method: req.method, status: res.statusCode });
+    httpRequestDuration.observe(duration / 1000, { route });
+    // 이미지 응답 크기 (캐릭터, 사용자 상태, 파티, 미리보기 모두, 오류 이미지와 304 제외)
+    const contentType = String(res.getHeader('content-type') || '');
+    if (res.statusCode === 200 && contentType.startsWith('image/')) {
+      outputBytes.observe(Number(res.getHeader('content-length')) || 0, { format: contentType.replace('image/', '').split(';')[0] });
+    }
+    writeLog(QUIET_ROUTES.includes(route) ? 'debug' : 'info', '요청', '완료', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: roundMs(duration),
+      bytes: Number(res.getHeader('content-length')) || 0,
+      cache: res.getHeader('x-cache')
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
+
+app.use(express.json({ limit: `${RENDER_BODY_MAX_MB}mb` }));
 app.use(express.urlencoded({ extended: true }));
 
-// CORS 설정
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  next();
-});
+// CORS 설정
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  next();
+});
+
+/**
+ * 저장소 오류 (code: 'ETIMEDOUT' | 'EMAXSIZE' | 'EFETCH' | 'EINVALIDKEY', status: 원본 HTTP 상태)
+ */
+function createStorageError(message, code, status = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * 저장소 오류 → HTTP 오류 (원본 404: 404, 시간 초과: 504, 잘못된 키: 400, 그 외: 502)
+ * message: 앞에 붙일 설명, 뒤에 원인(원본 상태 또는 오류 메시지)을 괄호로 붙임
+ */
+function createUpstreamError(message, error) {
+  if (error.expose) {
+    return error;
+  }
+  const detail = `${message} (${error.status || error.message})`;
+  if (error.code === 'ETIMEDOUT') {
+    return createHttpError(504, detail);
+  }
+  if (error.code === 'EINVALIDKEY') {
+    return createHttpError(400, detail);
+  }
+  if (error.status === 404) {
+    return createHttpError(404, detail);
+  }
+  return createHttpError(502, detail, error instanceof SyntaxError ? 'INVALID_JSON' : ERROR_CODES[502]);
+}
+
+/**
+ * 오류 응답 정보 { status, code, message } (HTTP 오류가 아니면 500 INTERNAL_ERROR)
+ */
+function describeError(error) {
+  if (error.expose) {
+    return { status: error.status, code: error.code, message: error.message };
+  }
+  if (error.code === 'ETIMEDOUT' || error.code === 'EFETCH' || error.code === 'EMAXSIZE' || error.code === 'EINVALIDKEY') {
+    return describeError(createUpstreamError('저장소 오류', error));
+  }
+  return { status: 500, code: ERROR_CODES[500], message: error.message || 'Unknown error' };
+}
+
+/**
+ * 오류 응답 상태 설정 (JSON, 이미지 공용, retryAfter가 있으면 Retry-After 헤더 포함)
+ */
+function setErrorStatus(res, error, status) {
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+  return res.status(status);
+}
+
+/**
+ * JSON 오류 응답 { ...extra, error, code, status }
+ */
+function sendErrorJson(res, error, extra = {}) {
+  const { status, code, message } = describeError(error);
+  return setErrorStatus(res, error, status).json({ ...extra, error: message, code, status });
+}
+
+/**
+ * 저장소 키 검사 ({bucket}/{name}/파일 형식의 상대 경로만 허용)
+ */
+function assertStorageKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(part => part === '..' || part === '.')) {
+    throw createStorageError(`잘못된 저장소 경로: ${key}`, 'EINVALIDKEY', 400);
+  }
+}
+
+/**
+ * 응답 본문 읽기 (최대 크기 초과 시 중단)
+ */
+async function readResponseBody(response, key, maxBytes) {
+  const contentLength = Number(response.headers.get('content-length'));
+  if (contentLength > maxBytes) {
+    throw createStorageError(`파일이 너무 큽니다: ${key} (${contentLength} > ${maxBytes} bytes)`, 'EMAXSIZE');
+  }
+  try {
+    return await response.buffer();
+  } catch (error) {
+    if (error.type === 'max-size') {
+      throw createStorageError(`파일이 너무 큽니다: ${key} (> ${maxBytes} bytes)`, 'EMAXSIZE');
+    }
+    throw error;
+  }
+}
+
+/**
+ * HTTP 요청 (시간 제한 + 최대 크기), 저장소 응답 형식으로 변환
+ */
+async function fetchStorageResponse(url, key, { headers, timeout, maxBytes }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal, size: maxBytes });
+    const result = {
+      status: response.status,
+      ok: response.ok,
+      body: null,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      contentType: response.headers.get('content-type')
+    };
+    if (response.ok) {
+      result.body = await readResponseBody(response, key, maxBytes);
+    }
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw createStorageError(`시간 초과 (${timeout}ms): ${key}`, 'ETIMEDOUT');
+    }
+    if (error.code === 'EMAXSIZE') {
+      throw error;
+    }
+    throw createStorageError(`가져오기 실패: ${key} (${error.message})`, 'EFETCH');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * HTTP 저장소 ({BASE_URL}/{key}, 기존 동작)
+ */
+function createHttpStorage({ baseUrl }) {
+  return {
+    type: 'http',
+    describe: key => `${baseUrl}/${key}`,
+    get(key, { ifNoneMatch, ifModifiedSince, accept = '*/*', timeout, maxBytes }) {
+      const headers = {
+        'Accept': accept,
+        'User-Agent': 'Mozilla/5.0'
+      };
+      if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+      if (ifModifiedSince) headers['If-Modified-Since'] = ifModifiedSince;
+      return fetchStorageResponse(`${baseUrl}/${key}`, key, { headers, timeout, maxBytes });
+    }
+  };
+}
+
+/**
+ * 로컬 디렉토리 저장소 ({STORAGE_DIR}/{key}, 오프라인 개발/테스트용)
+ */
+function createLocalStorage({ root }) {
+  const rootDir = path.resolve(root);
+
+  return {
+    type: 'local',
+    describe: key => path.join(rootDir, key),
+    async get(key, { ifNoneMatch, ifModifiedSince, maxBytes }) {
+      const filePath = path.resolve(rootDir, key);
+      if (!filePath.startsWith(rootDir + path.sep)) {
+        throw createStorageError(`잘못된 저장소 경로: ${key}`, 'EINVALIDKEY', 400);
+      }
+
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+          return { status: 404, ok: false, body: null };
+        }
+        throw createStorageError(`가져오기 실패: ${key} (${error.message})`, 'EFETCH');
+      }
+      if (!stat.isFile()) {
+        return { status: 404, ok: false, body: null };
+      }
+
+      const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+      const lastModified = stat.mtime.toUTCString();
+      if ((ifNoneMatch && ifNoneMatch === etag) ||
+          (!ifNoneMatch && ifModifiedSince && Math.floor(stat.mtimeMs / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000))) {
+        return { status: 304, ok: false, body: null, etag, lastModified };
+      }
+      if (stat.size > maxBytes) {
+        throw createStorageError(`파일이 너무 큽니다: ${key} (${stat.size} > ${maxBytes} bytes)`, 'EMAXSIZE');
+      }
+
+      return { status: 200, ok: true, body: await fs.promises.readFile(filePath), etag, lastModified, contentType: null };
+    }
+  };
+}
+
+/**
+ * S3 호환 저장소 (Cloudflare R2, MinIO 등, AWS Signature V4)
+ * bucket을 지정하면 {key} 전체를 해당 버킷의 객체 키로, 아니면 첫 경로를 버킷 이름으로 사용
+ */
+function createS3Storage({ endpoint, region, accessKeyId, secretAccessKey, bucket }) {
+  const endpointUrl = new URL(endpoint);
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+  const encodePath = objectPath => objectPath.split('/').map(part =>
+    encodeURIComponent(part).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+  ).join('/');
+
+  function getObjectPath(key) {
+    return bucket ? `${bucket}/${key}` : key;
+  }
+
+  return {
+    type: 's3',
+    describe: key => `s3://${getObjectPath(key)}`,
+    get(key, { ifNoneMatch, ifModifiedSince, timeout, maxBytes }) {
+      const basePath = endpointUrl.pathname.replace(/\/$/, '');
+      const canonicalUri = `${basePath}/${encodePath(getObjectPath(key))}`;
+      const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+      const dateStamp = amzDate.slice(0, 8);
+      const payloadHash = sha256('');
+      const scope = `${dateStamp}/${region}/s3/aws4_request`;
+      const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+      const canonicalRequest = [
+        'GET',
+        canonicalUri,
+        '',
+        `host:${endpointUrl.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+        signedHeaders,
+        payloadHash
+      ].join('\n');
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+      const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+      const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+      const headers = {
+        'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+      };
+      if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+      if (ifModifiedSince) headers['If-Modified-Since'] = ifModifiedSince;
+
+      return fetchStorageResponse(`${endpointUrl.origin}${canonicalUri}`, key, { headers, timeout, maxBytes });
+    }
+  };
+}
+
+/**
+ * 환경 변수로 저장소 생성 (STORAGE_BACKEND: http | local | s3)
+ */
+function createStorageFromEnv(env) {
+  const backend = (env.STORAGE_BACKEND || 'http').toLowerCase();
+  switch (backend) {
+    case 'local':
+      return createLocalStorage({ root: env.STORAGE_DIR || path.join(__dirname, 'storage') });
+    case 's3':
+      if (!env.S3_ENDPOINT || !env.S3_ACCESS_KEY_ID || !env.S3_SECRET_ACCESS_KEY) {
+        throw new Error('S3 저장소에는 S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY가 필요합니다');
+      }
+      return createS3Storage({
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION || 'auto',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        bucket: env.S3_BUCKET || ''
+      });
+    case 'http':
+      return createHttpStorage({ baseUrl: BASE_URL });
+    default:
+      throw new Error(`알 수 없는 STORAGE_BACKEND: ${backend} (http, local, s3)`);
+  }
+}
+
+const storage = createStorageFromEnv(process.env);
+
+/**
+ * 저장소에서 파일 가져오기 (시간 제한과 최대 크기를 한 곳에서 적용)
+ */
+function getFromStorage(key, options = {}) {
+  assertStorageKey(key);
+  return storage.get(key, {
+    ...options,
+    timeout: options.timeout ?? STORAGE_TIMEOUT_MS,
+    maxBytes: Math.min(options.maxBytes ?? STORAGE_MAX_BYTES, STORAGE_MAX_BYTES)
+  });
+}
+
+/**
+ * 저장소에서 폰트 다운로드 및 등록
+ */
+async function registerFontFromStorage(fontKey, fontFamily) {
+  if (registeredFonts.has(fontFamily)) {
+    log.debug('폰트', '이미 등록됨', { family: fontFamily });
+    return; // 이미 등록됨
+  }
+
+  const fontLocation = storage.describe(fontKey);
+  try {
+    log.debug('폰트', '등록 시작', { family: fontFamily, location: fontLocation });
+    
+    const locationHash = crypto.createHash('md5').update(fontLocation).digest('hex');
+    
+    // 확장자 추출
+    const ext = path.extname(fontKey) || '.ttf';
+    const cacheFile = path.join(FONT_CACHE_DIR, `${locationHash}${ext}`);
+
+    let fontBuffer;
+    if (fs.existsSync(cacheFile)) {
+      fontBuffer = fs.readFileSync(cacheFile);
+      log.debug('폰트', '캐시에서 로드', { family: fontFamily, bytes: fontBuffer.length });
+    } else {
+      const response = await getFromStorage(fontKey, { accept: 'font/*' });
+      
+      if (!response.ok) {
+        throw createStorageError(`HTTP ${response.status}`, 'EFETCH', response.status);
+      }
+      
+      fontBuffer = response.body;
+      log.debug('폰트', '다운로드 완료', { family: fontFamily, bytes: fontBuffer.length, contentType: response.contentType });
+      
+      if (fontBuffer.length === 0) {
+        throw new Error('폰트 파일이 비어있습니다');
+      }
+      
+      // 캐시 저장
+      fs.writeFileSync(cacheFile, fontBuffer);
+      log.debug('폰트', '캐시에 저장', { family: fontFamily, file: cacheFile });
+    }
+
+    // Canvas에 폰트 등록
+    registerFontFile(cacheFile, fontFamily);
+    log.info('폰트', '등록 완료', { family: fontFamily, location: fontLocation, bytes: fontBuffer.length });
+    
+  } catch (error) {
+    log.error('폰트', '등록 실패', { family: fontFamily, location: fontLocation, error: error.message, stack: DEBUG ? error.stack : undefined });
+    throw error;
+  }
+}
+
+/**
+ * 캐릭터별 폰트 패밀리 이름 (버킷/이름/파일명 기반, 캐릭터 간 충돌 방지)
+ */
+function getNamespacedFontFamily(bucket, name, filename) {
+  return `R2Font_${sha1(`${bucket}/${name}/${filename}`).slice(0, 16)}`;
+}
+
+/**
+ * 버킷 공용 폰트({bucket}/fonts/) 패밀리 이름
+ */
+function getSharedFontFamily(bucket, filename) {
+  return `R2Font_${sha1(`shared:${bucket}/${filename}`).slice(0, 16)}`;
+}
+
+/**
+ * 설정의 폰트를 저장소에서 다운로드해 등록 (캐릭터 폴더의 fonts/ 또는 버킷 공용 {bucket}/fonts/)
+ * 반환: loadConfigFonts 결과 (등록에 성공한 면만 포함)
+ */
+function loadStorageFonts(config, bucket, name) {
+  return loadConfigFonts(config, async face => {
+    const fontKey = face.shared ? `${bucket}/fonts/${face.file}` : `${bucket}/${name}/fonts/${face.file}`;
+    const family = face.shared ? getSharedFontFamily(bucket, face.file) : getNamespacedFontFamily(bucket, name, face.file);
+    await registerFontFromStorage(fontKey, family);
+    return family;
+  });
+}
+
+// 원본(setting.json, 이미지) 캐시: 만료되어도 남겨두고 ETag/Last-Modified로 재검증
+const configCache = createLruCache({ maxEntries: 500 });
+const imageCache = createLruCache({ maxEntries: 500, maxSize: IMAGE_CACHE_MAX_MB * 1024 * 1024 });
+// 렌더링 결과 캐시: 키에 설정/이미지 해시가 포함되므로 TTL 없음
+const renderCache = createLruCache({ maxEntries: 2000, maxSize: RENDER_CACHE_MAX_MB * 1024 * 1024 });
+
+/**
+ * Prometheus 지표 저장소 생성 (counter, gauge, histogram → 텍스트 노출 형식)
+ * 레이블은 { 이름: 값 } 객체, collect 함수가 있는 지표는 출력할 때 [레이블, 값] 목록을 받아옴
+ */
+function createMetricsRegistry(prefix) {
+  const metrics = [];
+
+  function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+  }
+
+  function register(type, name, help, collect = null) {
+    const metric = { type, name: `${prefix}_${name}`, help, series: new Map(), collect };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function getSeries(metric, labels, create) {
+    const key = JSON.stringify(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  return {
+    /**
+     * 누적 카운터 (collect: 외부 누적 값을 읽을 때)
+     */
+    counter(name, help, collect) {
+      const metric = register('counter', name, help, collect);
+      return {
+        inc(labels = {}, amount = 1) {
+          getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    /**
+     * 현재 값 (collect: () => [[레이블, 값]])
+     */
+    gauge(name, help, collect) {
+      register('gauge', name, help, collect);
+    },
+
+    /**
+     * 히스토그램 (buckets: 오름차순 상한 목록)
+     */
+    histogram(name, help, buckets) {
+      const metric = register('histogram', name, help);
+      metric.buckets = buckets;
+      return {
+        observe(value, labels = {}) {
+          const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              series.counts[index]++;
+            }
+          });
+          series.sum += value;
+          series.count++;
+        }
+      };
+    },
+
+    /**
+     * 텍스트 노출 형식 (text/plain; version=0.0.4)
+     */
+    render() {
+      const lines = [];
+      metrics.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+        if (metric.collect) {
+          metric.collect().forEach(([labels, value]) => lines.push(`${metric.name}${formatLabels(labels)} ${value}`));
+        }
+        metric.series.forEach(series => {
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+            return;
+          }
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+      });
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+// 지표 (GET /metrics)
+const metrics = createMetricsRegistry('affection');
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const SIZE_BUCKETS = [1024, 4096, 16384, 65536, 262144, 1048576, 4194304];
+const httpRequestsTotal = metrics.counter('http_requests_total', '요청 수 (라우트, 메서드, 상태 코드별)');
+const httpRequestDuration = metrics.histogram('http_request_duration_seconds', '요청 처리 시간 (초)', LATENCY_BUCKETS);
+// 단계: fetch_json (설정과 테마), fetch_image, font, queue (워커 대기), render, encode
+const stageDuration = metrics.histogram('stage_duration_seconds', '처리 단계별 시간 (초)', LATENCY_BUCKETS);
+const outputBytes = metrics.histogram('output_bytes', '이미지 응답 크기 (bytes, 출력 형식별)', SIZE_BUCKETS);
+const renderResultsTotal = metrics.counter('render_results_total', '렌더링 캐시 결과 수 (hit, miss, coalesced)');
+const ORIGIN_CACHES = { config: configCache, image: imageCache, render: renderCache };
+metrics.counter('cache_hits_total', '캐시 적중 수', () => Object.entries(ORIGIN_CACHES).map(([cache, lru]) => [{ cache }, lru.stats().hits]));
+metrics.counter('cache_misses_total', '캐시 실패 수', () => Object.entries(ORIGIN_CACHES).map(([cache, lru]) => [{ cache }, lru.stats().misses]));
+metrics.gauge('cache_entries', '캐시 항목 수', () => Object.entries(ORIGIN_CACHES).map(([cache, lru]) => [{ cache }, lru.stats().entries]));
+metrics.gauge('cache_size_bytes', '캐시 크기 (bytes)', () => Object.entries(ORIGIN_CACHES).map(([cache, lru]) => [{ cache }, lru.stats().size]));
+
+/**
+ * 작업이 끝나면 (실패 포함) 걸린 시간을 단계 지표에 기록
+ */
+function observeStage(stage, promise) {
+  const start = performance.now();
+  return promise.finally(() => stageDuration.observe((performance.now() - start) / 1000, { stage }));
+}
+
+function sha1(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+const stateStore = createStateStore({ file: STATE_FILE, historyMax: STATE_HISTORY_MAX });
+
+/**
+ * 원본 파일 가져오기 (캐시 + 조건부 요청 재검증)
+ * key: 저장소 키 ({bucket}/{name}/파일)
+ * parse: 응답 버퍼 → 저장할 데이터, sizeOf: 데이터의 캐시 크기 (기본값: 버퍼 크기)
+ * revalidate: 유효 시간이 남아 있어도 원본에 재검증
+ * 반환: { data, hash, etag, lastModified, size, freshUntil }
+ */
+async function fetchOriginCached(key, { cache, ttl, accept, parse, sizeOf, revalidate = false }) {
+  const cached = cache.get(key);
+  if (cached && !revalidate && cached.freshUntil > Date.now()) {
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await getFromStorage(key, {
+      accept,
+      ifNoneMatch: cached?.etag,
+      ifModifiedSince: cached?.lastModified
+    });
+  } catch (error) {
+    if (cached && error.code !== 'EINVALIDKEY') {
+      log.warn('캐시', '재검증 실패, 만료된 캐시 사용', { key, error: error.message });
+      return cached;
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && cached) {
+    cached.freshUntil = Date.now() + ttl;
+    log.debug('캐시', '재검증 완료 (304)', { key });
+    return cached;
+  }
+
+  if (!response.ok) {
+    cache.delete(key);
+    throw createStorageError(`HTTP ${response.status}`, 'EFETCH', response.status);
+  }
+
+  const body = response.body;
+  const data = await parse(body);
+  const entry = {
+    data,
+    hash: sha1(body),
+    etag: response.etag,
+    lastModified: response.lastModified,
+    size: sizeOf ? sizeOf(data, body) : body.length,
+    freshUntil: Date.now() + ttl
+  };
+  cache.set(key, entry, entry.size);
+  return entry;
+}
+
+/**
+ * setting.json 가져오기 (캐시)
+ */
+function fetchConfigCached(key, { revalidate = false } = {}) {
+  return fetchOriginCached(key, {
+    cache: configCache,
+    ttl: CONFIG_CACHE_TTL,
+    revalidate,
+    accept: 'application/json',
+    parse: body => JSON.parse(body.toString('utf8'))
+  });
+}
+
+/**
+ * 이미지 가져오기 (캐시, 원본 파일 그대로 저장하고 디코딩은 렌더링 스레드에서)
+ */
+function fetchImageCached(key) {
+  return fetchOriginCached(key, {
+    cache: imageCache,
+    ttl: IMAGE_CACHE_TTL,
+    accept: 'image/*',
+    parse: body => body
+  });
+}
+
+/**
+ * 저장소의 테마 읽기 (resolveConfigInheritance의 loadTheme, 캐시)
+ * 테마가 없는 것은 캐릭터 설정 오류이므로 404가 아닌 502
+ */
+function createThemeLoader(options = {}) {
+  return async key => {
+    try {
+      return await fetchConfigCached(key, options);
+    } catch (error) {
+      const upstreamError = createUpstreamError(`테마를 가져올 수 없습니다: ${storage.describe(key)}`, error);
+      throw upstreamError.status === 404 ? createHttpError(502, upstreamError.message, 'INVALID_CONFIG') : upstreamError;
+    }
+  };
+}
+
+/**
+ * 캐릭터 설정 가져오기 (캐시, extends 테마 상속 적용)
+ * 반환: { config, hash (설정과 테마의 해시), size, themes }
+ */
+async function loadCharacterConfig(bucket, name, options = {}) {
+  const jsonKey = `${bucket}/${name}/setting.json`;
+  const fetchStart = performance.now();
+  let configEntry;
+  let inherited;
+  try {
+    try {
+      configEntry = await fetchConfigCached(jsonKey, options);
+    } catch (jsonError) {
+      throw createUpstreamError(`JSON 파일을 가져올 수 없습니다: ${storage.describe(jsonKey)}`, jsonError);
+    }
+    inherited = isPlainObject(configEntry.data)
+      ? await resolveConfigInheritance(bucket, configEntry.data, createThemeLoader(options))
+      : { config: configEntry.data, themes: [] };
+  } finally {
+    stageDuration.observe((performance.now() - fetchStart) / 1000, { stage: 'fetch_json' });
+  }
+
+  const { config, themes } = inherited;
+  return {
+    config,
+    themes,
+    size: configEntry.size,
+    hash: themes.length > 0 ? sha1(JSON.stringify([configEntry.hash, ...themes.map(theme => theme.hash)])) : configEntry.hash
+  };
+}
+
+// 버킷/캐릭터 이름 형식 (글자, 숫자, _ - ., 점으로 시작하거나 경로 구분자 불가)
+const PATH_SEGMENT_PATTERN = /^[\p{L}\p{N}_-][\p{L}\p{N}_.-]*$/u;
+
+/**
+ * 버킷/캐릭터 이름 검사 (경로 조작 문자가 있으면 400)
+ */
+function assertPathSegment(value, field) {
+  if (typeof value !== 'string' || value.length > 100 || !PATH_SEGMENT_PATTERN.test(value)) {
+    throw createBadRequestError(`잘못된 ${field}: ${JSON.stringify(value)} (글자, 숫자, _ - . 만 사용)`);
+  }
+}
+
+// 캐릭터 이름으로 쓸 수 없는 경로 (파티 이미지 /{bucket}/_party)
+const PARTY_PATH = '_party';
+
+/**
+ * 캐릭터 이름 검사 (경로 규칙 + 파티 경로와 겹치는 이름 거부)
+ */
+function assertCharacterName(name) {
+  assertPathSegment(name, '캐릭터 이름');
+  if (name === PARTY_PATH) {
+    throw createBadRequestError(`'${PARTY_PATH}'는 파티 이미지 경로(/{bucket}/${PARTY_PATH})라 캐릭터 이름으로 쓸 수 없습니다`);
+  }
+}
+
+/**
+ * 허용 버킷 검사 (ALLOWED_BUCKETS가 있으면 목록의 버킷만, 아니면 404)
+ */
+function assertAllowedBucket(bucket) {
+  if (ALLOWED_BUCKETS.length > 0 && !ALLOWED_BUCKETS.includes(bucket)) {
+    throw createHttpError(404, `허용되지 않은 버킷입니다: ${bucket}`);
+  }
+}
+
+/**
+ * 서명할 문자열: 디코딩한 경로 + 줄바꿈 + sig를 뺀 쿼리 (키, 값 순으로 정렬)
+ */
+function getSignaturePayload(pathname, searchParams) {
+  const query = [...searchParams.entries()]
+    .filter(([key]) => key !== 'sig')
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : av > bv ? 1 : 0) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${decodeURIComponent(pathname)}\n${query}`;
+}
+
+/**
+ * HMAC-SHA256 서명 (base64url)
+ */
+function createUrlSignature(pathname, searchParams) {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(getSignaturePayload(pathname, searchParams)).digest('base64url');
+}
+
+/**
+ * 경로(쿼리 포함)에 만료 시각(exp, 초)과 서명(sig) 붙이기
+ * 반환: { path, expires }
+ */
+function signUrlPath(urlPath, ttl = SIGNED_URL_TTL) {
+  const url = new URL(urlPath, 'http://localhost');
+  url.searchParams.delete('sig');
+  const expires = Math.floor(Date.now() / 1000) + Math.max(1, Math.round(ttl));
+  url.searchParams.set('exp', String(expires));
+  url.searchParams.set('sig', createUrlSignature(url.pathname, url.searchParams));
+  return { path: `${url.pathname}${url.search}`, expires };
+}
+
+/**
+ * 이미지 요청 서명 확인 (SIGNING_SECRET이 없으면 확인하지 않음, 서명이 없거나 틀리거나 만료되면 403)
+ */
+function verifySignedRequest(req) {
+  if (!SIGNING_SECRET) return;
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const sig = url.searchParams.get('sig');
+  const exp = url.searchParams.get('exp');
+  if (!sig || !exp) {
+    throw createForbiddenError('서명이 필요합니다 (exp, sig)');
+  }
+  if (!/^\d+$/.test(exp) || Number(exp) < Date.now() / 1000) {
+    throw createForbiddenError('만료된 URL입니다');
+  }
+  const expected = Buffer.from(createUrlSignature(url.pathname, url.searchParams));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw createForbiddenError('서명이 올바르지 않습니다');
+  }
+}
+
+/**
+ * 설정을 받거나 보여주는 요청 확인 (POST /render, validate, config)
+ * SIGNING_SECRET이 있으면 Authorization: Bearer {SIGN_TOKEN} 또는 서명 URL 필요 (열어 두면 서명 없이 이미지를 만들 수 있음)
+ */
+function verifyTrustedRequest(req) {
+  if (!SIGNING_SECRET) return;
+  if (SIGN_TOKEN && req.get('authorization') === `Bearer ${SIGN_TOKEN}`) return;
+  if (!new URL(req.originalUrl, 'http://localhost').searchParams.has('sig')) {
+    throw createForbiddenError('서명 URL 또는 Authorization: Bearer {SIGN_TOKEN}이 필요합니다');
+  }
+  verifySignedRequest(req);
+}
+
+// 경로의 버킷/캐릭터 이름 검사 (모든 라우트 공통)
+app.param('bucket', (req, res, next, bucket) => {
+  try {
+    assertPathSegment(bucket, '버킷 이름');
+    assertAllowedBucket(bucket);
+    next();
+  } catch (error) {
+    sendErrorJson(res, error);
+  }
+});
+app.param('name', (req, res, next, name) => {
+  try {
+    assertCharacterName(name);
+    next();
+  } catch (error) {
+    sendErrorJson(res, error);
+  }
+});
+
+/**
+ * 서명 URL 만들기: POST /sign { path: "/{bucket}/{name}?Love=75", ttl?: 초 }
+ * SIGN_TOKEN으로 Authorization: Bearer {토큰} 필요 (봇용)
+ */
+app.post('/sign', (req, res) => {
+  if (!SIGNING_SECRET || !SIGN_TOKEN) {
+    return sendErrorJson(res, createHttpError(404, '서명 URL이 설정되지 않았습니다 (SIGNING_SECRET, SIGN_TOKEN)'));
+  }
+  if (req.get('authorization') !== `Bearer ${SIGN_TOKEN}`) {
+    return sendErrorJson(res, createHttpError(401, 'Unauthorized'));
+  }
+  const body = isPlainObject(req.body) ? req.body : {};
+  if (typeof body.path !== 'string' || !body.path.startsWith('/') || body.path.startsWith('//')) {
+    return sendErrorJson(res, createBadRequestError('path는 /로 시작하는 경로여야 합니다 (예: /mybucket/alice?Love=75)'));
+  }
+  if (body.ttl !== undefined && !(typeof body.ttl === 'number' && body.ttl > 0)) {
+    return sendErrorJson(res, createBadRequestError('ttl은 0보다 큰 숫자(초)여야 합니다'));
+  }
+  const { path: signedPath, expires } = signUrlPath(body.path, body.ttl);
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    url: `${req.protocol}://${req.get('host')}${signedPath}`,
+    path: signedPath,
+    expires: new Date(expires * 1000).toISOString()
+  });
+});
+
+/**
+ * 설정 검증: GET /{버킷}/{이름}/validate
+ */
+app.get('/:bucket/:name/validate', async (req, res) => {
+  const { bucket, name } = req.params;
+  const jsonKey = `${bucket}/${name}/setting.json`;
+  try {
+    verifyTrustedRequest(req);
+  } catch (error) {
+    return sendErrorJson(res, error, { bucket, name });
+  }
+
+  let configEntry;
+  try {
+    configEntry = await fetchConfigCached(jsonKey, { revalidate: true });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      // JSON 문법 오류도 검증 결과로 반환
+      return res.json({
+        bucket,
+        name,
+        valid: false,
+        errors: [{ path: '$', message: `JSON 파싱 실패: ${error.message}` }],
+        warnings: []
+      });
+    }
+    return sendErrorJson(res, createUpstreamError(`JSON 파일을 가져올 수 없습니다: ${storage.describe(jsonKey)}`, error), { bucket, name });
+  }
+
+  // extends가 있으면 테마를 적용한 설정을 검증
+  let config = configEntry.data;
+  let themes = [];
+  let inheritanceError = null;
+  if (isPlainObject(config)) {
+    try {
+      ({ config, themes } = await resolveConfigInheritance(bucket, config, createThemeLoader({ revalidate: true })));
+    } catch (error) {
+      inheritanceError = error.message;
+    }
+  }
+
+  const result = validateConfig(config);
+  if (inheritanceError) {
+    result.errors.unshift({ path: '$.extends', message: inheritanceError });
+    result.valid = false;
+  }
+  log.info('검증', '완료', { bucket, name, errors: result.errors.length, warnings: result.warnings.length });
+  res.json({ bucket, name, themes: themes.map(theme => theme.name), ...result });
+});
+
+/**
+ * 적용된 설정 확인: GET /{버킷}/{이름}/config
+ * extends 테마를 병합한 최종 설정과 적용된 테마 목록 (디버그용)
+ */
+app.get('/:bucket/:name/config', async (req, res) => {
+  const { bucket, name } = req.params;
+  try {
+    verifyTrustedRequest(req);
+    const { config, themes, hash } = await loadCharacterConfig(bucket, name, { revalidate: true });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      bucket,
+      name,
+      hash,
+      themes: themes.map(theme => ({ name: theme.name, location: storage.describe(theme.key) })),
+      config
+    });
+  } catch (error) {
+    log.warn('설정', error.message, { bucket, name });
+    sendErrorJson(res, error, { bucket, name });
+  }
+});
+
+/**
+ * 캐시 삭제: POST /{버킷}/{이름}/purge
+ * PURGE_TOKEN으로 Authorization: Bearer {토큰} 필요 (PURGE_TOKEN이 없으면 404)
+ */
+app.post('/:bucket/:name/purge', (req, res) => {
+  if (!PURGE_TOKEN) {
+    return sendErrorJson(res, createHttpError(404, '캐시 삭제가 설정되지 않았습니다 (PURGE_TOKEN)'));
+  }
+  if (req.get('authorization') !== `Bearer ${PURGE_TOKEN}`) {
+    return sendErrorJson(res, createHttpError(401, 'Unauthorized'));
+  }
+
+  const { bucket, name } = req.params;
+  const originPrefix = `${bucket}/${name}/`;
+  const renderPrefix = `${bucket}/${name}|`;
+  const purged = {
+    configs: configCache.deleteWhere(key => key.startsWith(originPrefix)),
+    images: imageCache.deleteWhere(key => key.startsWith(originPrefix)),
+    renders: renderCache.deleteWhere(key => key.startsWith(renderPrefix))
+  };
+
+  log.info('캐시', '삭제', { bucket, name, ...purged });
+  res.json({ bucket, name, purged });
+});
+
+/**
+ * 버킷 캐시 삭제: POST /{버킷}/purge (테마, party.json, 모든 캐릭터)
+ */
+app.post('/:bucket/purge', (req, res) => {
+  if (!PURGE_TOKEN) {
+    return sendErrorJson(res, createHttpError(404, '캐시 삭제가 설정되지 않았습니다 (PURGE_TOKEN)'));
+  }
+  if (req.get('authorization') !== `Bearer ${PURGE_TOKEN}`) {
+    return sendErrorJson(res, createHttpError(401, 'Unauthorized'));
+  }
+
+  const { bucket } = req.params;
+  const prefix = `${bucket}/`;
+  const purged = {
+    configs: configCache.deleteWhere(key => key.startsWith(prefix)),
+    images: imageCache.deleteWhere(key => key.startsWith(prefix)),
+    renders: renderCache.deleteWhere(key => key.startsWith(prefix))
+  };
+
+  log.info('캐시', '버킷 삭제', { bucket, ...purged });
+  res.json({ bucket, purged });
+});
+
+// 미리보기 한 번에 렌더링할 수 있는 최대 값 개수
+const MAX_PREVIEW_VALUES = 50;
+
+/**
+ * 업로드한 파일 디코딩 (data URL 또는 base64 문자열 → Buffer)
+ */
+function decodeUploadedFile(data, field) {
+  if (typeof data !== 'string' || !data) {
+    throw createBadRequestError(`${field}: data URL 또는 base64 문자열이어야 합니다`);
+  }
+  const base64 = data.startsWith('data:') ? data.slice(data.indexOf(',') + 1) : data;
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length === 0) {
+    throw createBadRequestError(`${field}: 파일이 비어있습니다`);
+  }
+  return buffer;
+}
+
+/**
+ * 업로드한 이미지 → 렌더링 작업 이미지 (디코딩은 렌더링 스레드에서, 읽을 수 없으면 400)
+ */
+function decodeUploadedImage(data, field) {
+  const buffer = decodeUploadedFile(data, field);
+  return { hash: sha1(buffer), buffer, field };
+}
+
+/**
+ * 미리보기 호감도 값 파싱 (숫자 또는 { 스탯 키: 숫자 })
+ */
+function parsePreviewValue(raw, field) {
+  if (!isPlainObject(raw)) {
+    return parseAffectionValue(raw, field);
+  }
+  const value = {};
+  Object.entries(raw).forEach(([key, statValue]) => {
+    value[key] = parseAffectionValue(statValue, `${field}.${key}`);
+  });
+  return value;
+}
+
+/**
+ * 미리보기 렌더링: POST /render
+ * 본문: { config, bucket? (extends 테마 위치), value | values (숫자 또는 { 스탯 키: 숫자 }), previousValue?, image?, images?: { 파일명: 데이터 }, fonts?: { 파일명: 데이터 }, output?: { format, quality, scale, lossless } }
+ * 값 하나면 이미지, values 배열이거나 Accept: application/json이면 data URL과 요소 영역을 담은 JSON 반환
+ */
+app.post('/render', async (req, res) => {
+  const requestStart = performance.now();
+
+  try {
+    verifyTrustedRequest(req);
+    const body = req.body;
+    if (!isPlainObject(body) || !isPlainObject(body.config)) {
+      throw createBadRequestError('config 객체가 필요합니다');
+    }
+
+    // extends 테마는 bucket의 저장소에서 가져옴
+    let config = body.config;
+    if (config.extends !== undefined) {
+      if (typeof body.bucket !== 'string' || !body.bucket) {
+        throw createBadRequestError('extends를 사용하려면 bucket이 필요합니다');
+      }
+      assertPathSegment(body.bucket, '버킷 이름');
+      assertAllowedBucket(body.bucket);
+      try {
+        ({ config } = await resolveConfigInheritance(body.bucket, config, createThemeLoader()));
+      } catch (error) {
+        // 보낸 설정의 문제(없는 테마, 순환 상속 등)는 400, 저장소 오류와 시간 초과는 상태 그대로
+        throw error.code === 'INVALID_CONFIG' ? createBadRequestError(error.message) : error;
+      }
+    }
+
+    let output;
+    try {
+      output = resolveOutputOptions(req, null, { ...req.query, ...(isPlainObject(body.output) ? body.output : {}) });
+    } catch (error) {
+      throw createBadRequestError(error.message);
+    }
+
+    // 호감도 값 (value 하나 또는 values 배열)
+    const rawValues = body.values !== undefined ? body.values : [body.value ?? 0];
+    if (!Array.isArray(rawValues) || rawValues.length === 0 || rawValues.length > MAX_PREVIEW_VALUES) {
+      throw createBadRequestError(`values는 1~${MAX_PREVIEW_VALUES}개의 배열이어야 합니다`);
+    }
+    const values = rawValues.map((raw, index) => parsePreviewValue(raw, body.values !== undefined ? `values[${index}]` : 'value'));
+    const previousValue = body.previousValue != null ? parsePreviewValue(body.previousValue, 'previousValue') : null;
+    if (previousValue !== null && values.length > 1) {
+      throw createBadRequestError('previousValue는 값이 하나일 때만 사용할 수 있습니다');
+    }
+
+    // 창 크기, 미터 칸 수, 그릴 픽셀 수(값 개수 또는 애니메이션 프레임 수 × 크기) 한도는 워커에 보내기 전에 확인
+    assertRenderLimits(config, output, previousValue !== null ? getAnimationSettings(config).frames : values.length);
+
+    // 업로드한 이미지와 폰트
+    const image = body.image ? decodeUploadedImage(body.image, 'image') : null;
+    const extraImages = {};
+    if (body.images !== undefined && !isPlainObject(body.images)) {
+      throw createBadRequestError('images는 { 파일명: 데이터 } 객체여야 합니다');
+    }
+    for (const [filename, data] of Object.entries(body.images || {})) {
+      try {
+        resolveImageSource(filename);
+      } catch (error) {
+        throw createBadRequestError(error.message);
+      }
+      extraImages[filename] = decodeUploadedImage(data, `images.${filename}`);
+    }
+    if (body.fonts !== undefined && !isPlainObject(body.fonts)) {
+      throw createBadRequestError('fonts는 { 파일명: 데이터 } 객체여야 합니다');
+    }
+    const uploadedFonts = {};
+    Object.entries(body.fonts || {}).forEach(([filename, data]) => {
+      uploadedFonts[filename] = decodeUploadedFile(data, `fonts.${filename}`);
+    });
+    const fonts = await observeStage('font', loadFontBuffers(config, uploadedFonts));
+
+    const validation = validateConfig(config);
+    res.setHeader('X-Config-Errors', validation.errors.length);
+    res.setHeader('X-Config-Warnings', validation.warnings.length);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const results = [];
+    for (const value of values) {
+      const tier = resolveTier(config, getPrimaryStatValue(config, value));
+      const result = { value, tier: tier ? (tier.name ?? null) : null, elements: [] };
+      const changed = previousValue !== null
+        && JSON.stringify(resolveStatValues(config, previousValue)) !== JSON.stringify(resolveStatValues(config, value));
+      if (changed) {
+        const rendered = await runRender({ type: 'animation', config, previousValue, value, image, extraImages, fonts, output });
+        Object.assign(result, { previousValue }, rendered);
+      } else {
+        const rendered = await runRender({ type: 'window', config, value, image, extraImages, fonts, output, elementBounds: true, logTimings: DEBUG });
+        Object.assign(result, rendered);
+      }
+      results.push(result);
+    }
+
+    log.debug('미리보기', '완료', {
+      values: values.map(formatStatValues),
+      previousValue: previousValue !== null ? formatStatValues(previousValue) : undefined,
+      ms: roundMs(performance.now() - requestStart)
+    });
+
+    const wantsJson = body.values !== undefined || req.accepts([output.contentType, 'application/json']) === 'application/json';
+    if (wantsJson) {
+      return res.json({
+        validation,
+        images: results.map(({ buffer, contentType, ...result }) => ({
+          ...result,
+          contentType,
+          data: `data:${contentType};base64,${buffer.toString('base64')}`
+        }))
+      });
+    }
+
+    const [{ buffer, contentType, tier }] = results;
+    if (tier) {
+      res.setHeader('X-Affection-Tier', encodeURIComponent(tier));
+    }
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    const { status, code } = describeError(error);
+    log[status >= 500 ? 'error' : 'warn']('미리보기', error.message, { status, code, stack: status === 500 ? error.stack : undefined });
+    sendErrorJson(res, error);
+  }
+});
+
+// 레이아웃 편집기 (정적 페이지)
+app.use('/editor', express.static(path.join(__dirname, 'editor')));
+
+/**
+ * 캐릭터 이미지, 추가 이미지, 폰트를 병렬로 가져오기 (이미지는 캐시, 실패해도 없이 진행)
+ * values: 렌더링할 값 목록 (단계 이미지 결정용)
+ */
+async function loadCharacterAssets(bucket, name, config, values) {
+  const basePath = `${bucket}/${name}`;
+  const [[imageEntry, extraImageEntries], fonts] = await Promise.all([
+    observeStage('fetch_image', Promise.all([
+      fetchImageCached(`${basePath}/image.webp`).catch(err => {
+        log.warn('이미지', '다운로드 실패', { src: 'image.webp', error: err.message });
+        return null; // 이미지 실패해도 계속 진행
+      }),
+      Promise.all(getRenderImageSources(config, values).map(src =>
+        fetchImageCached(getImageStorageKey(bucket, name, src))
+          .then(entry => [src, entry])
+          .catch(err => {
+            log.warn('이미지', '다운로드 실패', { src, error: err.message });
+            return [src, null];
+          })
+      ))
+    ])),
+    observeStage('font', loadStorageFonts(config, bucket, name))
+  ]);
+
+  // 폰트가 성공적으로 로드된 경우 로그만 출력 (폰트 패밀리는 processFontFamily에서 처리)
+  if (Object.keys(fonts).length > 0) {
+    log.debug('폰트', '사용 가능한 폰트 별칭', { aliases: Object.keys(fonts) });
+  }
+
+  // 렌더링 작업에 넘길 이미지 ({ hash, buffer }, 디코딩은 렌더링 스레드에서)
+  const extraImages = {};
+  extraImageEntries.forEach(([src, entry]) => {
+    extraImages[src] = getTaskImage(entry);
+  });
+  return { imageEntry, extraImageEntries, image: getTaskImage(imageEntry), extraImages, fonts };
+}
+
+/**
+ * 캐시 항목 → 렌더링 작업 이미지 { hash, buffer } (없으면 null)
+ */
+function getTaskImage(entry) {
+  return entry ? { hash: entry.hash, buffer: entry.data } : null;
+}
+
+/**
+ * 렌더링 워커 풀 생성 (size: 워커 수, 0이면 메인 스레드에서 바로 실행, queueMax: 워커를 기다리는 작업의 최대 수)
+ * 워커는 render-worker.js에서 runRenderTask로 작업을 처리하고, 비정상 종료되면 새로 띄움
+ * 대기열이 가득 차면 503 오류 (retryAfter: 최근 평균 처리 시간으로 계산한 대기 시간, 초)
+ */
+function createRenderPool({ size, queueMax }) {
+  const slots = [];
+  const queue = [];
+  const counts = { completed: 0, failed: 0, rejected: 0 };
+  let nextId = 1;
+  let averageMs = 100;
+  let closing = null;
+  let resolveClosed = null;
+
+  function spawn() {
+    const slot = { worker: new Worker(path.join(__dirname, 'render-worker.js')), job: null };
+    slot.worker.on('message', message => {
+      const job = slot.job;
+      slot.job = null;
+      if (job && job.id === message.id) {
+        finish(job, message.error ? restoreError(message.error) : null, message.result);
+      }
+      dispatch();
+    });
+    slot.worker.on('error', error => {
+      log.error('렌더링', '워커 오류', { error: error.message, stack: error.stack });
+    });
+    slot.worker.on('exit', code => {
+      slots.splice(slots.indexOf(slot), 1);
+      if (slot.job) {
+        finish(slot.job, createHttpError(500, `렌더링 워커가 종료되었습니다 (코드 ${code})`));
+      }
+      if (!closing) {
+        log.warn('렌더링', '워커가 종료되어 새 워커를 시작합니다', { exitCode: code });
+        spawn();
+        dispatch();
+      }
+    });
+    slots.push(slot);
+  }
+
+  function finish(job, error, result) {
+    const elapsed = performance.now() - job.startedAt;
+    averageMs = averageMs * 0.8 + elapsed * 0.2;
+    if (error) {
+      counts.failed++;
+      job.reject(error);
+    } else {
+      counts.completed++;
+      // 워커에서 받은 Uint8Array → Buffer
+      job.resolve({ ...result, buffer: Buffer.from(result.buffer.buffer, result.buffer.byteOffset, result.buffer.byteLength) });
+    }
+    checkClosed();
+  }
+
+  function dispatch() {
+    for (const slot of slots) {
+      if (queue.length === 0) break;
+      if (slot.job) continue;
+      slot.job = queue.shift();
+      slot.job.startedAt = performance.now();
+      stageDuration.observe((slot.job.startedAt - slot.job.queuedAt) / 1000, { stage: 'queue' });
+      slot.worker.postMessage({ id: slot.job.id, task: slot.job.task });
+    }
+  }
+
+  function checkClosed() {
+    if (closing && queue.length === 0 && slots.every(slot => !slot.job)) {
+      Promise.all(slots.map(slot => slot.worker.terminate())).then(resolveClosed);
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    spawn();
+  }
+
+  return {
+    /**
+     * 작업 실행 (runRenderTask 형식) → 결과
+     */
+    run(task) {
+      if (size === 0) {
+        return runRenderTask(task);
+      }
+      if (closing) {
+        return Promise.reject(createHttpError(503, '서버가 종료 중입니다', 'SHUTTING_DOWN'));
+      }
+      if (queue.length >= queueMax) {
+        counts.rejected++;
+        const error = createHttpError(503, `렌더링 대기열이 가득 찼습니다 (${queue.length}/${queueMax})`, 'OVERLOADED');
+        error.retryAfter = Math.max(1, Math.ceil((queue.length / size + 1) * averageMs / 1000));
+        return Promise.reject(error);
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, task, resolve, reject, queuedAt: performance.now() });
+        dispatch();
+      });
+    },
+
+    /**
+     * 대기열의 작업을 모두 처리한 뒤 워커 종료
+     */
+    close() {
+      if (!closing) {
+        closing = new Promise(resolve => {
+          resolveClosed = resolve;
+        });
+        checkClosed();
+      }
+      return closing;
+    },
+
+    stats() {
+      return {
+        workers: size,
+        busy: slots.filter(slot => slot.job).length,
+        queued: queue.length,
+        queueMax,
+        averageMs: Math.round(averageMs),
+        ...counts
+      };
+    }
+  };
+}
+
+// 렌더링 워커 풀, 종료 신호를 받으면 shuttingDown
+const renderPool = createRenderPool({ size: RENDER_WORKERS, queueMax: RENDER_QUEUE_MAX });
+let shuttingDown = false;
+
+// 진행 중인 렌더링 (렌더링 캐시 키 → Promise), 같은 요청이 동시에 들어오면 한 번만 렌더링
+const pendingRenders = new Map();
+
+/**
+ * 워커 풀에서 렌더링 (워커 로그에 요청 ID 전달, 결과의 단계별 시간은 지표에 기록하고 제외)
+ */
+async function runRender(task) {
+  const context = requestContext.getStore();
+  const { timings, ...rendered } = await renderPool.run({ ...task, requestId: context ? context.requestId : undefined });
+  Object.entries(timings || {}).forEach(([stage, ms]) => stageDuration.observe(ms / 1000, { stage }));
+  return rendered;
+}
 
 /**
- * URL에서 폰트 다운로드 및 등록
+ * 렌더링 캐시 확인 후 없으면 렌더링 (같은 키가 진행 중이면 그 결과를 함께 사용, 끝나면 캐시에 저장)
+ * 반환: { rendered, cache: 'HIT' | 'MISS' | 'COALESCED' }
  */
-async function registerFontFromUrl(fontUrl, fontFamily) {
-  if (registeredFonts.has(fontFamily)) {
-    if (DEBUG) {
-      console.log(`[폰트] 이미 등록됨: ${fontFamily}`);
-    }
-    return; // 이미 등록됨
+async function renderCached(cacheKey, task) {
+  const cached = renderCache.get(cacheKey);
+  if (cached) {
+    renderResultsTotal.inc({ result: 'hit' });
+    return { rendered: cached, cache: 'HIT' };
+  }
+  const pending = pendingRenders.get(cacheKey);
+  if (pending) {
+    renderResultsTotal.inc({ result: 'coalesced' });
+    return { rendered: await pending, cache: 'COALESCED' };
+  }
+  renderResultsTotal.inc({ result: 'miss' });
+  const promise = runRender(task)
+    .then(rendered => {
+      renderCache.set(cacheKey, rendered, rendered.buffer.length);
+      return rendered;
+    })
+    .finally(() => pendingRenders.delete(cacheKey));
+  pendingRenders.set(cacheKey, promise);
+  return { rendered: await promise, cache: 'MISS' };
+}
+
+// 파티 이미지 한 번에 그릴 수 있는 최대 캐릭터 수
+const MAX_PARTY_MEMBERS = 12;
+const PARTY_LAYOUTS = ['grid', 'row', 'column'];
+
+/**
+ * 파티 구성 파싱: chars=alice:75,bob:30,carol (값이 없으면 스탯 기본값)
+ * 반환: [{ name, raw }] (raw: 값 문자열 또는 null)
+ */
+function parsePartyMembers(chars) {
+  if (typeof chars !== 'string' || !chars.trim()) {
+    throw createBadRequestError('chars가 필요합니다. 예: ?chars=alice:75,bob:30');
+  }
+  const members = chars.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const separator = part.lastIndexOf(':');
+    const name = separator >= 0 ? part.slice(0, separator) : part;
+    assertCharacterName(name);
+    return { name, raw: separator >= 0 ? part.slice(separator + 1) : null };
+  });
+  if (members.length === 0 || members.length > MAX_PARTY_MEMBERS) {
+    throw createBadRequestError(`chars는 1~${MAX_PARTY_MEMBERS}명이어야 합니다 (현재: ${members.length}명)`);
+  }
+  return members;
+}
+
+/**
+ * 파티 레이아웃 (party.json의 layout, 쿼리 layout/columns가 있으면 덮어씀)
+ * 반환: { type, columns, gap, padding, align }
+ */
+function resolvePartyLayout(partyConfig, query, count) {
+  const layout = { ...(isPlainObject(partyConfig.layout) ? partyConfig.layout : {}) };
+  if (query.layout !== undefined) {
+    layout.type = query.layout;
+  }
+  if (query.columns !== undefined) {
+    layout.columns = Number(query.columns);
+  }
+
+  const type = layout.type ?? 'grid';
+  if (!PARTY_LAYOUTS.includes(type)) {
+    throw createBadRequestError(`지원하지 않는 파티 레이아웃입니다: ${type} (지원: ${PARTY_LAYOUTS.join(', ')})`);
+  }
+  let columns = layout.columns ?? Math.ceil(Math.sqrt(count));
+  if (!Number.isInteger(columns) || columns < 1) {
+    throw createBadRequestError(`columns는 1 이상의 정수여야 합니다: ${layout.columns}`);
+  }
+  if (type === 'row') {
+    columns = count;
+  } else if (type === 'column') {
+    columns = 1;
   }
 
+  return {
+    type,
+    columns: Math.min(columns, count),
+    gap: layout.gap ?? 10,
+    padding: layout.padding ?? 10,
+    align: ['start', 'center', 'end'].includes(layout.align) ? layout.align : 'center'
+  };
+}
+
+/**
+ * 파티 이미지: /{버킷}/_party?chars=alice:75,bob:30,carol:90 (확장자로 출력 형식 지정: /_party.png)
+ * 레이아웃은 {버킷}/party.json (없으면 기본값), 쿼리 layout, columns로 덮어쓰기 가능
+ * 캐릭터 이름과 겹치지 않도록 _로 시작하는 경로 사용 (캐릭터 이름 '_party'는 거부)
+ */
+app.get(`/:bucket/${PARTY_PATH}.:extension?`, async (req, res) => {
+  const requestStart = performance.now();
+  let output = DEFAULT_OUTPUT;
+
   try {
-    console.log(`[폰트] 등록 시작: ${fontFamily}`);
-    console.log(`[폰트] URL: ${fontUrl}`);
-    
-    const urlHash = crypto.createHash('md5').update(fontUrl).digest('hex');
-    let urlPath;
+    const { bucket } = req.params;
+    output = resolveOutputOptions(req, req.params.extension);
+    verifySignedRequest(req);
+    const members = parsePartyMembers(req.query.chars);
+    log.debug('파티', '요청', { bucket, members: members.map(member => member.name) });
+
+    // 파티 설정 (없으면 기본값)
+    const partyKey = `${bucket}/party.json`;
+    let partyEntry = null;
     try {
-      urlPath = new URL(fontUrl).pathname;
-    } catch (urlError) {
-      throw new Error(`잘못된 폰트 URL: ${fontUrl} - ${urlError.message}`);
+      partyEntry = await fetchConfigCached(partyKey);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw createUpstreamError(`파티 설정을 가져올 수 없습니다: ${storage.describe(partyKey)}`, error);
+      }
     }
-    
-    // 확장자 추출
-    const ext = path.extname(urlPath) || '.ttf';
-    const cacheFile = path.join(FONT_CACHE_DIR, `${urlHash}${ext}`);
+    const partyConfig = partyEntry && isPlainObject(partyEntry.data) ? partyEntry.data : {};
+    const layout = resolvePartyLayout(partyConfig, req.query, members.length);
 
-    let fontBuffer;
-    if (fs.existsSync(cacheFile)) {
-      fontBuffer = fs.readFileSync(cacheFile);
-      console.log(`[폰트] 캐시에서 로드: ${fontFamily} (${fontBuffer.length} bytes)`);
-    } else {
-      console.log(`[폰트] 다운로드 시작: ${fontUrl}`);
-      const response = await fetch(fontUrl, {
-        headers: {
-          'Accept': 'font/*',
-          'User-Agent': 'Mozilla/5.0'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const contentType = response.headers.get('content-type');
-      console.log(`[폰트] Content-Type: ${contentType || 'unknown'}`);
-      
-      fontBuffer = Buffer.from(await response.arrayBuffer());
-      console.log(`[폰트] 다운로드 완료: ${fontBuffer.length} bytes`);
-      
-      if (fontBuffer.length === 0) {
-        throw new Error('폰트 파일이 비어있습니다');
-      }
-      
-      // 캐시 저장
-      fs.writeFileSync(cacheFile, fontBuffer);
-      console.log(`[폰트] 캐시에 저장: ${cacheFile}`);
+    // 캐릭터별 설정과 리소스를 병렬로 가져오기
+    const loaded = await Promise.all(members.map(async member => {
+      const configEntry = await loadCharacterConfig(bucket, member.name);
+      const config = configEntry.config;
+      const value = member.raw === null ? {} : { [getLegacyStatKey(config)]: parseAffectionValue(member.raw, member.name) };
+      const assets = await loadCharacterAssets(bucket, member.name, config, [value]);
+      return { ...member, config, configEntry, value, ...assets };
+    }));
+
+    // 렌더링 결과 캐시 키 (파티 설정 + 캐릭터별 설정/이미지 해시와 값 + 출력 옵션)
+    const renderKey = sha1(JSON.stringify([
+      partyEntry ? partyEntry.hash : null,
+      layout,
+      loaded.map(member => [
+        member.name,
+        member.configEntry.hash,
+        member.imageEntry ? member.imageEntry.hash : null,
+        member.extraImageEntries.map(([src, entry]) => [src, entry ? entry.hash : null]),
+        member.fonts,
+        member.value
+      ]),
+      output.format,
+      output.quality,
+      output.lossless,
+      output.scale
+    ]));
+    res.setHeader('ETag', `"${renderKey}"`);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Vary', 'Accept');
+    if (req.fresh) {
+      log.debug('캐시', '304 Not Modified', { bucket, name: 'party' });
+      return res.status(304).end();
     }
 
-    // Canvas에 폰트 등록
-    console.log(`[폰트] Canvas에 등록 중: ${fontFamily}`);
-    GlobalFonts.registerFromPath(cacheFile, fontFamily);
-    registeredFonts.add(fontFamily);
-    console.log(`[폰트] 등록 완료: ${fontFamily}`);
-    
+    const { rendered, cache } = await renderCached(`${bucket}/party|${renderKey}`, {
+      type: 'party',
+      members: loaded.map(member => ({
+        config: member.config,
+        value: member.value,
+        image: member.image,
+        extraImages: member.extraImages,
+        fonts: member.fonts
+      })),
+      layout,
+      styles: isPlainObject(partyConfig.styles) ? partyConfig.styles : {},
+      output
+    });
+
+    log.debug('파티', '완료', { layout: layout.type, members: members.length, cache, ms: roundMs(performance.now() - requestStart) });
+    res.setHeader('Content-Type', rendered.contentType);
+    res.setHeader('Content-Length', rendered.buffer.length);
+    res.setHeader('X-Cache', cache);
+    res.send(rendered.buffer);
   } catch (error) {
-    console.error(`[폰트] 등록 실패 (${fontFamily}):`, error.message);
-    if (DEBUG) {
-    console.error(`[폰트] 스택:`, error.stack);
-    }
-    throw error;
+    sendErrorImage(req, res, error, { output, scope: '파티' });
+  }
+});
+
+/**
+ * 요청의 출력 옵션 결정 (normalizeOutputOptions)
+ * 형식 우선순위: 파일 확장자 → format 쿼리 → Accept 헤더 (WebP를 받을 수 있으면 WebP)
+ * params: format/quality/scale/lossless 값 (기본값: 쿼리 문자열)
+ */
+function resolveOutputOptions(req, extension, params = req.query) {
+  const query = params || {};
+  let negotiated = null;
+  if (!extension && !query.format && req.headers.accept && !req.accepts('image/webp')) {
+    const accepted = req.accepts(['image/png', 'image/jpeg', 'image/avif', 'image/gif']);
+    negotiated = accepted ? normalizeOutputFormat(accepted) : null;
   }
+  return normalizeOutputOptions({ ...query, format: extension || query.format }, negotiated || DEFAULT_OUTPUT.format);
 }
 
 /**
- * 호감도 값 포맷팅
+ * 캐릭터 이미지 응답 (렌더링 캐시, ETag/304 포함, 메인 경로와 사용자 상태 경로 공용)
+ * options: { bucket, name, configEntry, value, previousValue (애니메이션 시작 값 또는 템플릿 {delta} 기준), animate, output, requestStart, timings, cacheControl }
  */
-function formatAffectionValue(value, max, format) {
-  switch (format) {
-    case 'fraction':
-      return `${value}/${max}`;
-    case 'percent':
-      return `${Math.round((value / max) * 100)}%`;
-    default:
-      return value.toString();
+async function sendCharacterImage(req, res, options) {
+  const { bucket, name, configEntry, value, previousValue, animate, output, requestStart, timings } = options;
+  const config = configEntry.config;
+  const imageKey = `${bucket}/${name}/image.webp`;
+
+  // 디버그 모드: 설정 검증 결과 출력
+  if (DEBUG) {
+    const validation = validateConfig(config);
+    validation.errors.forEach(issue => log.warn('검증', '설정 오류', { bucket, name, path: issue.path, message: issue.message }));
+    validation.warnings.forEach(issue => log.warn('검증', '설정 경고', { bucket, name, path: issue.path, message: issue.message }));
+    res.setHeader('X-Config-Errors', validation.errors.length);
+    res.setHeader('X-Config-Warnings', validation.warnings.length);
+  }
+  
+  // 호감도 단계 (애니메이션은 거치는 단계 모두의 이미지를 가져옴)
+  const tier = resolveTier(config, getPrimaryStatValue(config, value));
+  const frameValues = animate
+    ? getAnimationFrames(config, previousValue, value).map(frame => frame.value)
+    : [value];
+  if (tier) {
+    log.debug('단계', '적용', { tier: tier.name, label: tier.label });
+  }
+
+  // 이미지, 추가 이미지, 폰트를 병렬로 가져오기 (이미지는 캐시)
+  const loadStart = performance.now();
+  const { imageEntry, extraImageEntries, image, extraImages, fonts } = await loadCharacterAssets(bucket, name, config, frameValues);
+  if (imageEntry) {
+    timings.imageFetch = performance.now() - loadStart;
+    log.debug('이미지', '로드 완료', { ms: roundMs(timings.imageFetch), bytes: imageEntry.size });
+  } else {
+    log.warn('이미지', '이미지를 가져올 수 없습니다', { location: storage.describe(imageKey) });
+  }
+  
+  // 렌더링 결과 캐시 키 (설정/이미지 해시 + 값 + 애니메이션 여부 + 출력 옵션)
+  // 사용자 상태 라우트는 애니메이션이 아니어도 previousValue({delta} 기준)를 넘기므로 animate도 따로 포함
+  const renderKey = sha1(JSON.stringify([
+    configEntry.hash,
+    imageEntry ? imageEntry.hash : null,
+    extraImageEntries.map(([src, entry]) => [src, entry ? entry.hash : null]),
+    fonts,
+    value,
+    previousValue,
+    Boolean(animate),
+    output.format,
+    output.quality,
+    output.lossless,
+    output.scale
+  ]));
+  const etag = `"${renderKey}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', options.cacheControl || 'public, max-age=3600');
+  res.setHeader('Vary', 'Accept');
+  if (tier && tier.name) {
+    res.setHeader('X-Affection-Tier', encodeURIComponent(tier.name));
+  }
+  
+  // 조건부 요청: 같은 결과면 304
+  if (req.fresh) {
+    log.debug('캐시', '304 Not Modified', { bucket, name });
+    return res.status(304).end();
+  }
+  
+  // 렌더링 (워커 풀, 애니메이션은 프레임 렌더링 + 인코딩), 같은 요청이 진행 중이면 결과를 함께 사용
+  const renderStart = performance.now();
+  const { rendered, cache } = await renderCached(`${bucket}/${name}|${renderKey}`, {
+    type: animate ? 'animation' : 'window',
+    config,
+    value,
+    previousValue,
+    image,
+    extraImages,
+    fonts,
+    output
+  });
+  if (cache !== 'HIT') {
+    timings.render = performance.now() - renderStart;
   }
+  const { buffer, contentType } = rendered;
+  log.debug('렌더링', '완료', {
+    bucket,
+    name,
+    cache,
+    bytes: buffer.length,
+    jsonMs: roundMs(timings.jsonLoad),
+    imageMs: timings.imageFetch !== undefined ? roundMs(timings.imageFetch) : undefined,
+    renderMs: timings.render !== undefined ? roundMs(timings.render) : undefined,
+    totalMs: roundMs(performance.now() - requestStart)
+  });
+
+  // 응답 전송
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('X-Cache', cache);
+  res.send(buffer);
 }
 
 /**
- * 둥근 사각형 그리기
+ * 오류 응답 (describeError의 상태 코드 사용)
+ * Accept가 이미지보다 application/json을 우선하면 { error, code, status } JSON, 아니면 오류 이미지
+ * options: { output, config (있으면 오류 이미지에 컨테이너 크기와 테마 적용), scope (로그 분류) }
  */
-function drawRoundedRect(ctx, x, y, width, height, radius) {
-  ctx.beginPath();
-  ctx.moveTo(x + radius, y);
-  ctx.lineTo(x + width - radius, y);
-  ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-  ctx.lineTo(x + width, y + height - radius);
-  ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-  ctx.lineTo(x + radius, y + height);
-  ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-  ctx.lineTo(x, y + radius);
-  ctx.quadraticCurveTo(x, y, x + radius, y);
-  ctx.closePath();
+function sendErrorImage(req, res, error, options = {}) {
+  const { status, code, message } = describeError(error);
+  log[status >= 500 ? 'error' : 'warn'](options.scope || '요청', message, {
+    status,
+    code,
+    stack: DEBUG || status === 500 ? error.stack : undefined
+  });
+  
+  res.removeHeader('ETag');
+  res.removeHeader('Cache-Control');
+  res.removeHeader('X-Affection-Tier');
+  res.setHeader('Vary', 'Accept');
+  setErrorStatus(res, error, status);
+  if (req.accepts(['image/*', 'application/json']) === 'application/json') {
+    return res.json({ error: message, code, status });
+  }
+  
+  const errorImage = createErrorImage(message, options.output || DEFAULT_OUTPUT, { config: options.config, status });
+  res.setHeader('Content-Type', errorImage.contentType);
+  res.setHeader('Content-Length', errorImage.buffer.length);
+  res.send(errorImage.buffer);
 }
 
 /**
- * 둥근 이미지 그리기
+ * 캐릭터 설정 로드 로그 포함 (메인 경로와 사용자 상태 경로 공용)
  */
-function drawRoundedImage(ctx, image, x, y, width, height, radius) {
-  ctx.save();
-  drawRoundedRect(ctx, x, y, width, height, radius);
-  ctx.clip();
-  ctx.drawImage(image, x, y, width, height);
-  ctx.restore();
+async function loadRequestConfig(bucket, name, timings) {
+  const fetchStart = performance.now();
+  
+  // JSON 먼저 가져와서 폰트 설정 확인 (캐시, 테마 상속 적용)
+  const configEntry = await loadCharacterConfig(bucket, name);
+  timings.jsonLoad = performance.now() - fetchStart;
+  log.debug('JSON', '로드 완료', {
+    location: storage.describe(`${bucket}/${name}/setting.json`),
+    ms: roundMs(timings.jsonLoad),
+    bytes: configEntry.size,
+    themes: configEntry.themes.length > 0 ? configEntry.themes.map(theme => theme.name) : undefined
+  });
+  return configEntry;
 }
 
+// 사용자 ID 형식 (숫자 ID, 닉네임 등), 상태 변경 연산
+const STATE_USER_PATTERN = /^[\w.@-]{1,100}$/;
+const STATE_OPERATIONS = ['set', 'add', 'subtract'];
+
 /**
- * 에러 이미지 생성
+ * 상태 기록 키 (사용자 ID 형식이 잘못되면 400)
  */
-function createErrorImage(message) {
-  try {
-    const canvas = createCanvas(800, 600);
-    const ctx = canvas.getContext('2d');
-    
-    // 배경
-    ctx.fillStyle = '#C5C5C5';
-    ctx.fillRect(0, 0, 800, 600);
-    
-    // 에러 텍스트
-    ctx.fillStyle = '#000000';
-    ctx.font = 'bold 48px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('Error', 400, 250);
-    
-    ctx.font = '24px Arial';
-    const maxWidth = 700;
-    const words = (message || 'Unknown error').split(' ');
-    let line = '';
-    let y = 320;
-    
-    words.forEach(word => {
-      const testLine = line + (line ? ' ' : '') + word;
-      const metrics = ctx.measureText(testLine);
-      if (metrics.width > maxWidth && line) {
-        ctx.fillText(line, 400, y);
-        line = word;
-        y += 30;
-      } else {
-        line = testLine;
-      }
-    });
-    if (line) {
-      ctx.fillText(line, 400, y);
-    }
-    
-    // WebP 변환 시도, 실패하면 PNG로 fallback
-    try {
-      return canvas.toBuffer('image/webp', { quality: 1 });
-    } catch (webpError) {
-      console.error('[에러 이미지] WebP 변환 실패, PNG로 fallback:', webpError.message);
-      return canvas.toBuffer('image/png');
-    }
-  } catch (error) {
-    console.error('[에러 이미지] 생성 실패:', error.message);
-    const canvas = createCanvas(800, 600);
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#C5C5C5';
-    ctx.fillRect(0, 0, 800, 600);
-    ctx.fillStyle = '#000000';
-    ctx.font = 'bold 48px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('Error', 400, 300);
-    return canvas.toBuffer('image/png');
+function getStateKey(bucket, name, user) {
+  if (!STATE_USER_PATTERN.test(user)) {
+    throw createBadRequestError(`잘못된 사용자 ID: ${JSON.stringify(user)} (영문, 숫자, _ . @ - 100자 이하)`);
   }
+  return `${bucket}/${name}/${user}`;
 }
 
 /**
- * 폰트 패밀리 처리 (textinput 방식)
+ * 저장된 스탯 값 (기록이 없거나 나중에 추가된 스탯은 기본값)
  */
-function processFontFamily(style, defaultStyle, fontSettings, elementType) {
-  // 기본 폰트 패밀리 가져오기 (textinput 방식: style.fontFamily 우선, 없으면 defaultStyle.fontFamily)
-  let fontFamily = style.fontFamily || defaultStyle.fontFamily || 'sans-serif';
-  
-  // elementType에 따라 fontSettings에서 폰트 패밀리 가져오기 (style에 없을 때만)
-  if (!style.fontFamily) {
-    if (elementType === 'name' && fontSettings.nameFontFamily) {
-      fontFamily = fontSettings.nameFontFamily;
-    } else if (elementType === 'value' && fontSettings.valueFontFamily) {
-      fontFamily = fontSettings.valueFontFamily;
+function getStoredValues(config, record) {
+  return resolveStatValues(config, record ? record.values : {});
+}
+
+/**
+ * 마지막 변경 전 값 (마지막 변경이 없으면 null)
+ */
+function getLastChangeValues(config, record) {
+  const last = record && Array.isArray(record.history) ? record.history[0] : null;
+  if (!last) {
+    return null;
+  }
+  const values = getStoredValues(config, record);
+  Object.entries(last.changes || {}).forEach(([key, change]) => {
+    if (key in values && typeof change.from === 'number') {
+      values[key] = change.from;
     }
+  });
+  return values;
+}
+
+/**
+ * 상태 변경 요청 파싱: { op: 'set' | 'add' | 'subtract', value, stat?, reason? }
+ * value: 숫자(stat, 없으면 첫 번째 스탯) 또는 { 스탯 키: 숫자 }
+ */
+function parseStateChange(config, body) {
+  if (!isPlainObject(body)) {
+    throw createBadRequestError('요청 본문은 JSON 객체여야 합니다');
   }
-  
-  // R2 폰트 사용 여부 (폰트가 실제로 등록되었을 때만)
-  if (fontSettings.mode === 'r2' && registeredFonts.has('CustomR2Font')) {
-    // R2 폰트를 첫 번째로, 원래 fontFamily를 fallback으로 (textinput 방식)
-    const originalFontFamily = fontFamily.replace(/['"]/g, '');
-    return `CustomR2Font, ${originalFontFamily}`;
-  } else {
-    // R2 폰트를 사용하지 않는 경우: 원래 fontFamily 사용
-    // Canvas는 시스템 폰트만 인식하므로, 등록되지 않은 폰트 이름이면 기본값 사용
-    const systemFonts = ['sans-serif', 'serif', 'monospace', 'Arial', 'Times New Roman', 'Courier New', 'Helvetica', 'Verdana', 'CustomR2Font'];
-    const fontFamilyLower = fontFamily.toLowerCase().replace(/['"]/g, '');
-    const isSystemFont = systemFonts.some(font => fontFamilyLower.includes(font.toLowerCase()));
-    
-    if (!fontFamily || fontFamily.trim() === '') {
-      const defaultFont = defaultStyle.fontFamily || 'sans-serif';
-      return defaultFont.replace(/['"]/g, '');
-    } else if (!isSystemFont && !registeredFonts.has(fontFamily.replace(/['"]/g, ''))) {
-      // 등록되지 않은 폰트 이름이면 defaultStyle의 fontFamily 사용
-      const defaultFont = defaultStyle.fontFamily || 'sans-serif';
-      console.warn(`[폰트] 등록되지 않은 폰트 이름 "${fontFamily}"를 기본 폰트로 대체: ${defaultFont}`);
-      return defaultFont.replace(/['"]/g, '');
-    } else {
-      // 폰트 패밀리에서 따옴표 제거 (Canvas는 따옴표 없이 사용)
-      return fontFamily.replace(/['"]/g, '');
+  if (!STATE_OPERATIONS.includes(body.op)) {
+    throw createBadRequestError(`op는 ${STATE_OPERATIONS.map(op => JSON.stringify(op)).join(', ')} 중 하나여야 합니다`);
+  }
+  const stats = getStats(config);
+  const given = isPlainObject(body.value) ? body.value : { [body.stat ?? stats[0].key]: body.value };
+  const amounts = {};
+  Object.entries(given).forEach(([key, raw]) => {
+    if (!stats.some(stat => stat.key === key)) {
+      throw createBadRequestError(`stats에 없는 스탯입니다: ${key} (가능: ${stats.map(stat => stat.key).join(', ')})`);
     }
+    amounts[key] = parseAffectionValue(raw, key);
+  });
+  if (Object.keys(amounts).length === 0) {
+    throw createBadRequestError('value가 필요합니다');
   }
+  if (body.reason !== undefined && typeof body.reason !== 'string') {
+    throw createBadRequestError('reason은 문자열이어야 합니다');
+  }
+  return { op: body.op, amounts, reason: body.reason ? body.reason.slice(0, 200) : undefined };
 }
 
 /**
- * 호감도 창 렌더링
+ * 상태 변경 적용 (결과는 스탯의 minAffection~maxAffection 범위로 제한)
+ * 반환: { values: 새 값, changes: { 키: { from, to } } (값이 바뀐 스탯만) }
  */
-async function renderAffectionWindow(config, value, imageBuffer = null) {
-  const startTime = performance.now();
-  const timings = {};
-  
+function applyStateChange(config, values, change) {
+  const next = { ...values };
+  const changes = {};
+  getStats(config).forEach(stat => {
+    const amount = change.amounts[stat.key];
+    if (amount === undefined) return;
+    const from = values[stat.key];
+    const target = change.op === 'add' ? from + amount : change.op === 'subtract' ? from - amount : amount;
+    const to = Math.min(stat.maxAffection, Math.max(stat.minAffection, target));
+    if (to !== from) {
+      next[stat.key] = to;
+      changes[stat.key] = { from, to };
+    }
+  });
+  return { values: next, changes };
+}
+
+/**
+ * 상태 응답 본문 (historyLimit: 포함할 변경 기록 수)
+ */
+function formatStateResponse(bucket, name, user, config, record, historyLimit = 10) {
+  const history = record && Array.isArray(record.history) ? record.history : [];
+  return {
+    bucket,
+    name,
+    user,
+    values: getStoredValues(config, record),
+    updatedAt: record ? record.updatedAt : null,
+    last: history[0] || null,
+    history: history.slice(0, historyLimit)
+  };
+}
+
+/**
+ * 사용자 상태 조회: GET /api/{버킷}/{이름}/{사용자}?history={개수}
+ */
+app.get('/api/:bucket/:name/:user', async (req, res) => {
+  const { bucket, name, user } = req.params;
   try {
-    // Canvas 크기 설정
-    const canvasStart = performance.now();
-    const containerWidth = config.container?.layout?.width || 400;
-    const containerHeight = config.container?.layout?.height || 200;
-    const padding = config.container?.styles?.padding || 15;
-    
-    const canvas = createCanvas(containerWidth, containerHeight);
-    const ctx = canvas.getContext('2d');
-    timings.canvasCreate = performance.now() - canvasStart;
-    
-    // 배경 그리기
-    const bgStart = performance.now();
-    const bgColor = config.container?.styles?.backgroundColor || '#f0f0f0';
-    const borderWidth = config.container?.styles?.borderWidth || 2;
-    const borderColor = config.container?.styles?.borderColor || '#333';
-    const borderRadius = config.container?.styles?.borderRadius || 10;
-    
-    ctx.fillStyle = bgColor;
-    drawRoundedRect(ctx, 0, 0, containerWidth, containerHeight, borderRadius);
-    ctx.fill();
-    
-    // 테두리 그리기
-    if (borderWidth > 0) {
-      ctx.strokeStyle = borderColor;
-      ctx.lineWidth = borderWidth;
-      drawRoundedRect(ctx, borderWidth / 2, borderWidth / 2, 
-                     containerWidth - borderWidth, containerHeight - borderWidth, 
-                     borderRadius - borderWidth / 2);
-      ctx.stroke();
-    }
-    timings.background = performance.now() - bgStart;
-    
-    // 이미지 로드 및 그리기
-    if (imageBuffer) {
-      try {
-        const imgLoadStart = performance.now();
-        
-        // 이미지 버퍼 사용
-        const image = await loadImage(imageBuffer);
-        timings.imageLoad = performance.now() - imgLoadStart;
-        console.log(`[이미지] 파싱 완료: ${timings.imageLoad.toFixed(2)}ms`);
-        
-        const imgDrawStart = performance.now();
-        const imgConfig = config.characterImage || {};
-        const imgLayout = imgConfig.layout || {};
-        const imgStyles = imgConfig.styles || {};
-        
-        const imgX = imgLayout.x || 10;
-        const imgY = imgLayout.y || 50;
-        const imgWidth = imgLayout.width || 100;
-        const imgHeight = imgLayout.height || 100;
-        const imgRadius = imgStyles.borderRadius || 50;
-        const imgBorderWidth = imgStyles.borderWidth || 2;
-        const imgBorderColor = imgStyles.borderColor || '#cccccc';
-        
-        // 이미지 그리기 (둥근 모서리)
-        drawRoundedImage(ctx, image, imgX, imgY, imgWidth, imgHeight, imgRadius);
-        
-        // 이미지 테두리 그리기
-        if (imgBorderWidth > 0) {
-          ctx.strokeStyle = imgBorderColor;
-          ctx.lineWidth = imgBorderWidth;
-          drawRoundedRect(ctx, imgX, imgY, imgWidth, imgHeight, imgRadius);
-          ctx.stroke();
-        }
-        timings.imageDraw = performance.now() - imgDrawStart;
-      } catch (imgError) {
-        console.error('[이미지] 로드 실패:', imgError.message);
-        // 이미지 로드 실패해도 계속 진행
+    const key = getStateKey(bucket, name, user);
+    const { config } = await loadCharacterConfig(bucket, name);
+    const historyLimit = Math.min(STATE_HISTORY_MAX, Math.max(0, parseInt(req.query.history, 10) || 10));
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(formatStateResponse(bucket, name, user, config, stateStore.get(key), historyLimit));
+  } catch (error) {
+    log.warn('상태', error.message, { bucket, name, user });
+    sendErrorJson(res, error, { bucket, name, user });
+  }
+});
+
+/**
+ * 사용자 상태 변경: POST /api/{버킷}/{이름}/{사용자} { op, value, stat?, reason? }
+ * STATE_TOKEN이 설정되어 있으면 Authorization: Bearer {토큰} 필요
+ */
+app.post('/api/:bucket/:name/:user', async (req, res) => {
+  if (STATE_TOKEN && req.get('authorization') !== `Bearer ${STATE_TOKEN}`) {
+    return sendErrorJson(res, createHttpError(401, 'Unauthorized'));
+  }
+
+  const { bucket, name, user } = req.params;
+  try {
+    const key = getStateKey(bucket, name, user);
+    const { config } = await loadCharacterConfig(bucket, name);
+    const change = parseStateChange(config, req.body);
+
+    // 설정을 가져온 뒤 현재 값을 읽고 바꾸므로 동시에 들어온 변경도 순서대로 누적됨
+    let changes = {};
+    const record = await stateStore.update(key, current => {
+      const result = applyStateChange(config, getStoredValues(config, current), change);
+      changes = result.changes;
+      if (Object.keys(changes).length === 0) {
+        return null;
       }
-    } else {
-      console.warn('[이미지] 이미지 버퍼가 없습니다.');
-    }
-    
-    // 캐릭터 이름 그리기
-    const nameStart = performance.now();
-    const characterNameText = config.characterName || ''; // 최상위 문자열
-    const nameConfig = config.characterNameStyle || {}; // 스타일 객체
-    const nameLayout = nameConfig.layout || {};
-    const nameStyles = nameConfig.styles || {};
-    const defaultStyle = config.defaultStyle || {};
-    const fontSettings = config.fontSettings || {};
-    
-    // characterName이 문자열인지 확인
-    const nameText = typeof characterNameText === 'string' ? characterNameText : '';
-    
-    if (nameText) {
-      ctx.save();
-      
-      // 스타일 병합 (textinput 방식)
-      const nameStyle = { ...defaultStyle, ...nameStyles };
-      
-      // 폰트 패밀리 처리 (textinput 방식)
-      const nameFontFamily = processFontFamily(nameStyle, defaultStyle, fontSettings, 'name');
-      
-      ctx.font = `${nameStyle.fontWeight || 'bold'} ${nameStyle.fontSize || 20}px ${nameFontFamily}`;
-      ctx.fillStyle = nameStyle.fill || nameStyle.color || '#000000';
-      ctx.textAlign = nameStyle.textAlign || 'left';
-      ctx.textBaseline = 'top';
-      
-      const nameX = nameLayout.x || 10;
-      const nameY = nameLayout.y || 10;
-      
-      ctx.fillText(nameText, nameX, nameY);
-      ctx.restore();
-    }
-    timings.characterName = performance.now() - nameStart;
-    
-    // 호감도 수치 그리기
-    const valueStart = performance.now();
-    const valueConfig = config.affectionValue || {};
-    const valueLayout = valueConfig.layout || {};
-    const valueStyles = valueConfig.styles || {};
-    const valueFormat = valueConfig.format || 'number';
-    const maxAffection = config.maxAffection || 100;
-    
-    ctx.save();
-    
-    // 스타일 병합 (textinput 방식)
-    const valueStyle = { ...defaultStyle, ...valueStyles };
-    
-    // 폰트 패밀리 처리 (textinput 방식)
-    const valueFontFamily = processFontFamily(valueStyle, defaultStyle, fontSettings, 'value');
-    
-    ctx.font = `${valueStyle.fontWeight || 'normal'} ${valueStyle.fontSize || 18}px ${valueFontFamily}`;
-    ctx.fillStyle = valueStyle.fill || valueStyle.color || '#333';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-    
-    const valueX = valueLayout.x || 200;
-    const valueY = valueLayout.y || 100;
-    const valueText = formatAffectionValue(value, maxAffection, valueFormat);
-    
-    ctx.fillText(valueText, valueX, valueY);
-    ctx.restore();
-    timings.affectionValue = performance.now() - valueStart;
-    
-    // 호감도 바 그리기
-    const barStart = performance.now();
-    const barConfig = config.affectionBar || {};
-    const barLayout = barConfig.layout || {};
-    const barStyles = barConfig.styles || {};
-    
-    const barX = barLayout.x || 200;
-    const barY = barLayout.y || 120;
-    const barWidth = barLayout.width || 180;
-    const barHeight = barLayout.height || 20;
-    const barRadius = barStyles.borderRadius || 10;
-    const barBgColor = barStyles.backgroundColor || '#e0e0e0';
-    const barFillColor = barStyles.fillColor || '#4CAF50';
-    
-    // 배경 바 그리기
-    ctx.fillStyle = barBgColor;
-    drawRoundedRect(ctx, barX, barY, barWidth, barHeight, barRadius);
-    ctx.fill();
-    
-    // 채움 바 그리기
-    const fillPercent = Math.min(100, Math.max(0, (value / maxAffection) * 100));
-    const fillWidth = (barWidth * fillPercent) / 100;
-    
-    if (fillWidth > 0) {
-      ctx.fillStyle = barFillColor;
-      drawRoundedRect(ctx, barX, barY, fillWidth, barHeight, barRadius);
-      ctx.fill();
+      const now = new Date().toISOString();
+      const entry = { at: now, op: change.op, amounts: change.amounts, changes };
+      if (change.reason) {
+        entry.reason = change.reason;
+      }
+      return {
+        values: result.values,
+        updatedAt: now,
+        history: [entry, ...(current && Array.isArray(current.history) ? current.history : [])]
+      };
+    });
+
+    const changed = Object.keys(changes).length > 0;
+    log.info('상태', changed ? '변경' : '변경 없음', { key, op: change.op, amounts: change.amounts, values: getStoredValues(config, record) });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ...formatStateResponse(bucket, name, user, config, record), changed, changes });
+  } catch (error) {
+    log.warn('상태', error.message, { bucket, name, user });
+    sendErrorJson(res, error, { bucket, name, user });
+  }
+});
+
+/**
+ * 저장된 값으로 렌더링: GET /{버킷}/{이름}/user/{사용자}[.확장자]
+ * 마지막 변경 전 값이 템플릿 {delta} 기준, ?animate=true면 마지막 변경을 애니메이션으로 표시
+ */
+app.get('/:bucket/:name/user/:user', async (req, res) => {
+  const requestStart = performance.now();
+  const timings = {};
+  let output = DEFAULT_OUTPUT;
+  let config = null;
+
+  try {
+    const { bucket, name } = req.params;
+    let user = req.params.user;
+    const extensionMatch = user.match(/\.(webp|png|jpe?g|avif|gif)$/i);
+    if (extensionMatch) {
+      user = user.slice(0, -extensionMatch[0].length);
     }
-    timings.affectionBar = performance.now() - barStart;
-    
-    const renderTime = performance.now() - startTime;
-    timings.total = renderTime;
-    
-    // 성능 로그 출력
-    console.log('[성능] 렌더링 시간:');
-    if (timings.canvasCreate) console.log(`  - Canvas 생성: ${timings.canvasCreate.toFixed(2)}ms`);
-    if (timings.background) console.log(`  - 배경 그리기: ${timings.background.toFixed(2)}ms`);
-    if (timings.imageLoad) console.log(`  - 이미지 로드: ${timings.imageLoad.toFixed(2)}ms`);
-    if (timings.imageDraw) console.log(`  - 이미지 그리기: ${timings.imageDraw.toFixed(2)}ms`);
-    if (timings.characterName) console.log(`  - 캐릭터 이름: ${timings.characterName.toFixed(2)}ms`);
-    if (timings.affectionValue) console.log(`  - 호감도 수치: ${timings.affectionValue.toFixed(2)}ms`);
-    if (timings.affectionBar) console.log(`  - 호감도 바: ${timings.affectionBar.toFixed(2)}ms`);
-    console.log(`  - 총 렌더링 시간: ${timings.total.toFixed(2)}ms`);
-    
-    return canvas;
+    output = resolveOutputOptions(req, extensionMatch && extensionMatch[1]);
+    verifySignedRequest(req);
+    const key = getStateKey(bucket, name, user);
+
+    log.debug('요청', '사용자 상태 렌더링', { bucket, name, user });
+    const configEntry = await loadRequestConfig(bucket, name, timings);
+    config = configEntry.config;
+    const record = stateStore.get(key);
+    const value = getStoredValues(configEntry.config, record);
+    const previousValue = getLastChangeValues(configEntry.config, record);
+    const animate = previousValue !== null && ['1', 'true'].includes(String(req.query.animate));
+    log.debug('호감도', formatStatValues(value), { previousValue: previousValue ? formatStatValues(previousValue) : undefined, animate });
+
+    // 값이 바뀌면 ETag도 바뀌므로 매번 재검증
+    await sendCharacterImage(req, res, {
+      bucket, name, configEntry, value, previousValue, animate, output, requestStart, timings,
+      cacheControl: 'no-cache'
+    });
   } catch (error) {
-    console.error('[렌더링] 오류:', error.message);
-    throw error;
+    sendErrorImage(req, res, error, { output, config });
   }
-}
+});
 
 /**
  * 메인 라우트: /{버킷}/{이름}_Love_Value={호감도}
@@ -454,136 +1915,135 @@ async function renderAffectionWindow(config, value, imageBuffer = null) {
 app.get('/:bucket/*', async (req, res) => {
   const requestStart = performance.now();
   const timings = {};
+  let output = DEFAULT_OUTPUT;
+  let config = null;
   
   try {
     const bucket = req.params.bucket;
     // 와일드카드 경로에서 {name}_Love_Value={value} 형식 파싱
-    const wildcardPath = req.params[0]; // Express에서 *는 req.params[0]에 저장됨
-    
-    // {name}_Love_Value={value} 형식 파싱
-    const match = wildcardPath.match(/^(.+?)_Love_Value=(.+)$/);
-    if (!match) {
-      throw new Error(`잘못된 URL 형식입니다. 형식: /{bucket}/{name}_Love_Value={value}`);
-    }
-    
-    const name = match[1];
-    const value = parseInt(match[2]) || 0;
-    
-    console.log(`[요청] 버킷: ${bucket}, 이름: ${name}, 호감도: ${value}`);
+    let wildcardPath = req.params[0]; // Express에서 *는 req.params[0]에 저장됨
     
-    // 기본 경로 설정
-    const basePath = `${BASE_URL}/${bucket}/${name}`;
-    const jsonUrl = `${basePath}/setting.json`;
-    const imageUrl = `${basePath}/image.webp`;
-    
-    // JSON, 이미지, 폰트를 병렬로 가져오기
-    const fetchStart = performance.now();
-    console.log(`[리소스] 로드 시작: ${basePath}`);
-    
-    // JSON 먼저 가져와서 폰트 설정 확인
-    const jsonRes = await fetch(jsonUrl, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Mozilla/5.0'
-      }
-    });
-    
-    if (!jsonRes.ok) {
-      throw new Error(`JSON 파일을 가져올 수 없습니다: ${jsonUrl} (${jsonRes.status})`);
-    }
-    
-    const config = await jsonRes.json();
-    timings.jsonLoad = performance.now() - fetchStart;
-    const jsonSize = JSON.stringify(config).length;
-    console.log(`[JSON] 로드 완료: ${timings.jsonLoad.toFixed(2)}ms (크기: ${jsonSize} bytes)`);
-    
-    // 폰트 설정 확인
-    const fontSettings = config.fontSettings || {};
-    const fontUrl = fontSettings.mode === 'r2' && fontSettings.r2FontFilename
-      ? `${basePath}/fonts/${fontSettings.r2FontFilename}`
-      : null;
-
-    // 이미지와 폰트를 병렬로 가져오기
-    const loadStart = performance.now();
-    const [imageRes, fontLoaded] = await Promise.all([
-      fetch(imageUrl, {
-        headers: {
-          'Accept': 'image/*',
-          'User-Agent': 'Mozilla/5.0'
-        }
-      }).catch(err => {
-        console.error(`[이미지] 다운로드 실패: ${err.message}`);
-        return null; // 이미지 실패해도 계속 진행
-      }),
-      fontUrl ? registerFontFromUrl(fontUrl, 'CustomR2Font').catch(err => {
-        console.error(`[폰트] 로드 실패: ${err.message}`);
-        console.error(`[폰트] URL: ${fontUrl}`);
-        console.warn(`[폰트] 기본 폰트를 사용합니다.`);
-        return null; // 폰트 로드 실패해도 계속 진행
-      }) : Promise.resolve(null)
-    ]);
-    
-    // 폰트가 성공적으로 로드된 경우 로그만 출력 (폰트 패밀리는 processFontFamily에서 처리)
-    if (fontLoaded !== null && fontSettings.mode === 'r2' && registeredFonts.has('CustomR2Font')) {
-      console.log(`[폰트] R2 폰트가 성공적으로 등록되었습니다: CustomR2Font`);
+    // 확장자(.png, .jpg 등)로 출력 형식 지정
+    const extensionMatch = wildcardPath.match(/\.(webp|png|jpe?g|avif|gif)$/i);
+    if (extensionMatch) {
+      wildcardPath = wildcardPath.slice(0, -extensionMatch[0].length);
     }
+    output = resolveOutputOptions(req, extensionMatch && extensionMatch[1]);
     
-    // 이미지 버퍼 처리
-    let imageBuffer = null;
-    if (imageRes && imageRes.ok) {
-      imageBuffer = Buffer.from(await imageRes.arrayBuffer());
-      timings.imageFetch = performance.now() - loadStart;
-      console.log(`[이미지] 다운로드 완료: ${timings.imageFetch.toFixed(2)}ms (크기: ${(imageBuffer.length / 1024).toFixed(2)}KB)`);
-    } else {
-      console.warn(`[이미지] 이미지를 가져올 수 없습니다: ${imageUrl}`);
+    // {name}_Love_Value={value} 형식(기존) 또는 {name}?{스탯}={value}&... 형식
+    const match = wildcardPath.match(/^(.+?)_Love_Value=(.+)$/);
+    const name = match ? match[1] : wildcardPath;
+    if (!name) {
+      throw createBadRequestError('잘못된 URL 형식입니다. 형식: /{bucket}/{name}_Love_Value={value} 또는 /{bucket}/{name}?Love={value}');
     }
+    assertCharacterName(name);
+    verifySignedRequest(req);
     
-    // 호감도 창 렌더링 (이미지 버퍼 전달)
-    const renderStart = performance.now();
-    const canvas = await renderAffectionWindow(config, value, imageBuffer);
-    timings.render = performance.now() - renderStart;
-    
-    // WebP로 변환
-    const webpStart = performance.now();
-    const buffer = canvas.toBuffer('image/webp', { quality: 1 });
-    timings.webpConvert = performance.now() - webpStart;
-    console.log(`[WebP] 변환 완료: ${timings.webpConvert.toFixed(2)}ms (크기: ${buffer.length} bytes)`);
+    log.debug('요청', '캐릭터 렌더링', { bucket, name });
+    const configEntry = await loadRequestConfig(bucket, name, timings);
+    config = configEntry.config;
     
-    const totalTime = performance.now() - requestStart;
-    console.log(`[완료] 총 처리 시간: ${totalTime.toFixed(2)}ms`);
-    console.log('─'.repeat(60));
-
-    // 응답 전송
-    res.setHeader('Content-Type', 'image/webp');
-    res.setHeader('Content-Length', buffer.length);
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.send(buffer);
+    // 스탯 값 ({이전}to{현재} 형식이면 애니메이션으로 출력)
+    const { value, previousValue } = parseStatParams(configEntry.config, match ? { [getLegacyStatKey(configEntry.config)]: match[2] } : req.query);
+    const animate = previousValue !== null;
+    log.debug('호감도', formatStatValues(value), { previousValue: animate ? formatStatValues(previousValue) : undefined, animate });
 
+    await sendCharacterImage(req, res, { bucket, name, configEntry, value, previousValue, animate, output, requestStart, timings });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] 오류 발생:`, error.message);
-    if (DEBUG) {
-    console.error(error.stack);
-    }
-    
-    // 에러 이미지 반환
-    const errorBuffer = createErrorImage(error.message);
-    res.status(500);
-    res.setHeader('Content-Type', 'image/webp');
-    res.setHeader('Content-Length', errorBuffer.length);
-    res.send(errorBuffer);
+    sendErrorImage(req, res, error, { output, config });
   }
 });
 
-// 헬스 체크
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
+/**
+ * 저장소 연결 확인
+ * HEALTH_CHECK_KEY가 있으면 그 파일을 가져올 수 있어야 하고, 없으면 원본이 응답하면 정상 (404도 정상, 401/403/5xx는 실패)
+ */
+async function checkStorageHealth() {
+  const key = HEALTH_CHECK_KEY || '.health';
+  const start = performance.now();
+  try {
+    const response = await getFromStorage(key, { timeout: HEALTH_TIMEOUT_MS });
+    const ok = HEALTH_CHECK_KEY ? response.ok : response.status < 500 && ![401, 403].includes(response.status);
+    return {
+      ok,
+      key: storage.describe(key),
+      status: response.status,
+      latencyMs: Math.round(performance.now() - start)
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      key: storage.describe(key),
+      error: error.message,
+      latencyMs: Math.round(performance.now() - start)
+    };
+  }
+}
+
+/**
+ * 폰트 캐시 확인 (폴더에 쓸 수 있어야 정상)
+ */
+async function checkFontCacheHealth() {
+  try {
+    const probeFile = path.join(FONT_CACHE_DIR, `.health-${process.pid}`);
+    await fs.promises.writeFile(probeFile, '');
+    await fs.promises.unlink(probeFile);
+    const files = await fs.promises.readdir(FONT_CACHE_DIR);
+    return { ok: true, files: files.filter(file => !file.startsWith('.')).length, registered: registeredFonts.size };
+  } catch (error) {
+    return { ok: false, error: error.message, registered: registeredFonts.size };
+  }
+}
+
+// 헬스 체크 (준비 상태: 저장소, 폰트 캐시, 렌더링 풀(종료 중이 아닌지)을 확인해 하나라도 실패하면 503)
+app.get('/health', async (req, res) => {
+  const [storageCheck, fontCacheCheck] = await Promise.all([checkStorageHealth(), checkFontCacheHealth()]);
+  const renderPoolCheck = { ok: !shuttingDown, ...renderPool.stats() };
+  const ready = storageCheck.ok && fontCacheCheck.ok && renderPoolCheck.ok;
+  if (!ready) {
+    log.warn('헬스', '준비 안 됨', { storage: storageCheck, fontCache: fontCacheCheck, shuttingDown });
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({ 
+    status: ready ? 'ok' : 'error', 
     timestamp: new Date().toISOString(),
     baseUrl: BASE_URL,
-    port: PORT
+    storage: {
+      type: storage.type,
+      location: storage.describe(''),
+      timeoutMs: STORAGE_TIMEOUT_MS,
+      maxBytes: STORAGE_MAX_BYTES
+    },
+    port: PORT,
+    checks: {
+      storage: storageCheck,
+      fontCache: fontCacheCheck,
+      renderPool: renderPoolCheck
+    },
+    cache: {
+      configs: configCache.stats(),
+      images: imageCache.stats(),
+      renders: renderCache.stats()
+    },
+    state: stateStore.stats()
   });
 });
 
+// 렌더링 풀, 사용자 상태 지표 (/metrics 요청 시 수집)
+metrics.gauge('render_pool_busy', '작업 중인 렌더링 워커 수', () => [[{}, renderPool.stats().busy]]);
+metrics.gauge('render_pool_queued', '워커를 기다리는 렌더링 작업 수', () => [[{}, renderPool.stats().queued]]);
+metrics.counter('render_pool_tasks_total', '렌더링 워커 작업 수 (completed, failed, rejected)', () => {
+  const stats = renderPool.stats();
+  return ['completed', 'failed', 'rejected'].map(result => [{ result }, stats[result]]);
+});
+metrics.gauge('state_records', '저장된 호감도 상태 수 (사용자와 캐릭터별)', () => [[{}, stateStore.stats().records]]);
+
+// Prometheus 지표
+app.get('/metrics', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
 // 루트 경로
 app.get('/', (req, res) => {
   res.json({
@@ -591,7 +2051,19 @@ app.get('/', (req, res) => {
     usage: `GET /{bucket}/{name}_Love_Value={affection_value}`,
     example: `GET /mybucket/character1_Love_Value=75`,
     baseUrl: BASE_URL,
+    storage: storage.type,
+    party: `GET /{bucket}/${PARTY_PATH}?chars={name}:{value},...`,
+    state: {
+      get: 'GET /api/{bucket}/{name}/{user}',
+      update: 'POST /api/{bucket}/{name}/{user} { op: set | add | subtract, value }',
+      render: 'GET /{bucket}/{name}/user/{user}'
+    },
+    preview: 'POST /render',
+    metrics: 'GET /metrics',
+    sign: SIGNING_SECRET ? 'POST /sign { path, ttl }' : null,
+    editor: '/editor/',
     fileStructure: {
+      '{bucket}/party.json': '파티 레이아웃 설정 (선택사항)',
       '{bucket}/{name}/': {
         'setting.json': '설정 파일',
         'image.webp': '캐릭터 이미지',
@@ -602,13 +2074,41 @@ app.get('/', (req, res) => {
 });
 
 // 서버 시작
-app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('호감도 창 Canvas 생성 서비스 시작');
-  console.log('='.repeat(60));
-  console.log(`서버 주소: http://localhost:${PORT}`);
-  console.log(`Base URL: ${BASE_URL}`);
-  console.log(`예시 URL: http://localhost:${PORT}/mybucket/character1_Love_Value=75`);
-  console.log('='.repeat(60));
-  console.log('');
+const server = app.listen(PORT, () => {
+  log.info('서버', '호감도 창 Canvas 생성 서비스 시작', {
+    url: `http://localhost:${PORT}`,
+    storage: `${storage.type} (${storage.describe('')})`,
+    renderWorkers: RENDER_WORKERS,
+    renderQueueMax: RENDER_QUEUE_MAX,
+    logLevel: LOG_LEVEL,
+    example: `http://localhost:${PORT}/mybucket/character1_Love_Value=75`
+  });
 });
+
+/**
+ * 정상 종료: 새 연결을 받지 않고, 진행 중인 요청(대기열의 렌더링 포함)과 상태 파일 쓰기를 마친 뒤 종료
+ * SHUTDOWN_TIMEOUT_MS가 지나면 강제 종료
+ */
+const shutdown = async signal => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('종료', '진행 중인 요청을 마치고 종료합니다', { signal, queued: renderPool.stats().queued });
+  setTimeout(() => {
+    log.error('종료', '시간 안에 끝나지 않아 강제 종료합니다', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  // keep-alive 연결은 요청이 끝나 쉬고 있을 때마다 닫음
+  const idleTimer = setInterval(() => server.closeIdleConnections(), 500);
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeIdleConnections();
+  });
+  clearInterval(idleTimer);
+  await renderPool.close();
+  await stateStore.flush();
+  log.info('종료', '완료');
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
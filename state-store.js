@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+/**
+ * 상태 저장소 생성 (file: JSON 파일 경로, historyMax: 기록마다 보관할 최대 변경 수)
+ * 기록: '{bucket}/{name}/{user}' → { values: { 스탯 키: 값 }, updatedAt, history: [최근 변경부터] }
+ * 변경은 파일에 쓴 뒤에야 메모리에 반영 (쓰기 실패 시 그대로, 재시도해도 두 번 적용되지 않음)
+ * 파일은 임시 파일에 쓴 뒤 이름을 바꿔 교체, 쓰는 동안 들어온 변경은 모아서 한 번에 씀
+ */
+function createStateStore({ file, historyMax = 50 }) {
+  let records = {};
+  if (fs.existsSync(file)) {
+    try {
+      records = JSON.parse(fs.readFileSync(file, 'utf8')).records || {};
+    } catch (error) {
+      // 손상된 파일은 덮어쓰지 않도록 옮겨 둠
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      log.error('상태', '파일을 읽을 수 없어 옮겼습니다', { file, backup, error: error.message });
+    }
+  }
+
+  let queue = []; // 쓰기를 기다리는 변경 [{ key, update, resolve, reject }]
+  let writing = null;
+
+  async function persist(data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ version: 1, records: data }));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * 대기 중인 변경을 차례로 사본에 적용해 파일에 쓰고, 성공하면 사본을 반영 (실패하면 그 묶음의 변경 모두 거절)
+   */
+  async function writeLoop() {
+    while (queue.length > 0) {
+      const batch = queue;
+      queue = [];
+      const staged = { ...records };
+      const results = batch.map(({ key, update }) => {
+        try {
+          const next = update(staged[key] || null);
+          if (!next) {
+            return { record: staged[key] || null };
+          }
+          if (Array.isArray(next.history) && next.history.length > historyMax) {
+            next.history = next.history.slice(0, historyMax);
+          }
+          staged[key] = next;
+          return { record: next, changed: true };
+        } catch (error) {
+          return { error };
+        }
+      });
+
+      try {
+        if (results.some(result => result.changed)) {
+          await persist(staged);
+        }
+        records = staged;
+        batch.forEach((entry, i) => (results[i].error ? entry.reject(results[i].error) : entry.resolve(results[i].record)));
+      } catch (error) {
+        log.error('상태', '파일 쓰기 실패, 변경을 취소합니다', { file, changes: batch.length, error: error.message });
+        batch.forEach(entry => entry.reject(error));
+      }
+    }
+    writing = null;
+  }
+
+  return {
+    get(key) {
+      return records[key] || null;
+    },
+
+    /**
+     * 기록 변경 (update: 현재 기록 또는 null → 새 기록, null이면 바꾸지 않음)
+     * 변경은 들어온 순서대로 앞의 변경 결과에 적용되므로 동시 요청이 서로 덮어쓰지 않음, 파일에 쓴 뒤 새 기록 반환
+     */
+    update(key, update) {
+      return new Promise((resolve, reject) => {
+        queue.push({ key, update, resolve, reject });
+        if (!writing) {
+          // 같은 틱에 들어온 변경도 함께 쓰도록 다음 틱에 시작
+          writing = Promise.resolve().then(writeLoop);
+        }
+      });
+    },
+
+    /**
+     * 진행 중인 파일 쓰기가 끝날 때까지 대기 (종료 시)
+     */
+    async flush() {
+      while (writing) {
+        await writing;
+      }
+    },
+
+    stats() {
+      return { records: Object.keys(records).length, file, writing: Boolean(writing) };
+    }
+  };
+}
+
+module.exports = { createStateStore };
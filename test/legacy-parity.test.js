@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadImage, createCanvas } = require('@napi-rs/canvas');
+
+process.env.LOG_LEVEL = 'error';
+const { render, compareImages } = require('../renderer');
+
+// elements 도입 전 설정(fontSettings R2 폰트): 시스템 폰트에 따라 달라지지 않게 번들 폰트(Lato)로 그림
+const FIXTURES = path.join(__dirname, 'fixtures', 'legacy');
+const GOLDEN = path.join(__dirname, 'golden', 'legacy');
+const FONTS = { 'Lato-Regular.ttf': fs.readFileSync(path.join(__dirname, 'fixtures', 'characters', 'fonts', 'Lato-Regular.ttf')) };
+const CASES = [
+  ['sample', 0],
+  ['sample', 75],
+  ['sample', 100],
+  // 0, '', false도 기본값으로 바꾸지 않고 그대로
+  ['zeros', 40],
+  // 수치 텍스트도 지정한 textAlign으로 정렬
+  ['aligned', 30]
+];
+
+async function renderFixture(name, value) {
+  const config = JSON.parse(fs.readFileSync(path.join(FIXTURES, name, 'setting.json'), 'utf8'));
+  const image = fs.readFileSync(path.join(FIXTURES, name, 'image.webp'));
+  return render(config, value, { image, fonts: FONTS }, { output: { format: 'png' } });
+}
+
+/** PNG에서 픽셀 읽기 함수 */
+async function readPixels(buffer) {
+  const image = await loadImage(buffer);
+  const ctx = createCanvas(image.width, image.height).getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  const { data } = ctx.getImageData(0, 0, image.width, image.height);
+  const at = (x, y) => Array.from(data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+  // 조건에 맞는 픽셀들의 가로 범위
+  const spanOf = match => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        if (match(at(x, y))) {
+          min = Math.min(min, x);
+          max = Math.max(max, x);
+        }
+      }
+    }
+    return { min, max };
+  };
+  return { at, spanOf };
+}
+
+for (const [name, value] of CASES) {
+  test(`기존 설정이 골든 이미지와 같게 그려짐: ${name} ${value}`, async () => {
+    const actual = await renderFixture(name, value);
+    const result = await compareImages(actual, fs.readFileSync(path.join(GOLDEN, `${name}_${value}.png`)), { tolerance: 8 });
+    assert.strictEqual(result.sizeMismatch, false);
+    assert.strictEqual(result.diffPixels, 0);
+  });
+}
+
+test('0 값은 기본값으로 바뀌지 않음', async () => {
+  const { at } = await readPixels(await renderFixture('zeros', 40));
+  const background = [240, 240, 240, 255];
+  // borderRadius 0, borderWidth 0: 창 모서리까지 배경색
+  assert.deepStrictEqual(at(0, 0), background);
+  assert.deepStrictEqual(at(399, 199), background);
+  // 막대 borderRadius 0: 오른쪽 위 모서리까지 막대 배경색
+  assert.deepStrictEqual(at(399, 0), [224, 224, 224, 255]);
+  // 이미지 x 0, 테두리 없음: 왼쪽 끝부터 이미지
+  assert.notDeepStrictEqual(at(0, 60), background);
+  assert.deepStrictEqual(at(0, 49), background);
+});
+
+test('textAlign이 수치 텍스트에도 적용됨', async () => {
+  const { spanOf } = await readPixels(await renderFixture('aligned', 30));
+  // right: 오른쪽 끝이 x 300
+  const value = spanOf(([r, g, b]) => b > 150 && r < 100 && g < 100);
+  assert.ok(value.max <= 300 && value.max >= 290, `수치 오른쪽 끝 ${value.max}`);
+  // center: 이름은 x 200을 가운데로
+  const name = spanOf(([r, g, b]) => r > 150 && g < 100 && b < 100);
+  assert.ok(Math.abs((name.min + name.max) / 2 - 200) <= 5, `이름 범위 ${name.min}~${name.max}`);
+});
@@ -0,0 +1,113 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// 로컬 저장소: {tmp}/storage/b/alice/setting.json (이미지 없음, 대체 이미지로 그림)
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'affection-server-test-'));
+const STORAGE_DIR = path.join(TEMP_DIR, 'storage');
+const CONFIG = { characterName: 'Alice', elements: [{ type: 'text', text: '{value} ({delta})' }] };
+fs.mkdirSync(path.join(STORAGE_DIR, 'b', 'alice'), { recursive: true });
+fs.writeFileSync(path.join(STORAGE_DIR, 'b', 'alice', 'setting.json'), JSON.stringify(CONFIG));
+
+const servers = [];
+
+/** 빈 포트 찾기 함수 */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** 로컬 저장소로 서버 실행 (/health가 응답할 때까지 대기) */
+async function startServer(env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_BACKEND: 'local',
+      STORAGE_DIR,
+      STATE_FILE: path.join(TEMP_DIR, `state-${port}.json`),
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  servers.push(child);
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 20000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`서버가 종료됨 (코드 ${child.exitCode})`);
+    }
+    try {
+      await fetch(`${baseUrl}/health`);
+      return baseUrl;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('서버가 시작되지 않음');
+}
+
+after(async () => {
+  await Promise.all(servers.map(child => new Promise(resolve => {
+    if (child.exitCode !== null) {
+      return resolve();
+    }
+    child.once('exit', resolve);
+    child.kill();
+  })));
+  fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+test('사용자 라우트는 애니메이션 여부마다 다른 캐시 키와 ETag를 씀', async () => {
+  const baseUrl = await startServer();
+  const change = body => fetch(`${baseUrl}/api/b/alice/u1`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  assert.strictEqual((await change({ op: 'set', value: 40 })).status, 200);
+  assert.strictEqual((await change({ op: 'add', value: 20 })).status, 200);
+
+  const imageUrl = `${baseUrl}/b/alice/user/u1.png`;
+  const plain = await fetch(imageUrl);
+  assert.strictEqual(plain.status, 200);
+  const plainBody = Buffer.from(await plain.arrayBuffer());
+
+  const animated = await fetch(`${imageUrl}?animate=true`);
+  assert.strictEqual(animated.status, 200);
+  const animatedBody = Buffer.from(await animated.arrayBuffer());
+  assert.notStrictEqual(animated.headers.get('etag'), plain.headers.get('etag'));
+  assert.ok(!animatedBody.equals(plainBody));
+
+  // 정지 이미지의 ETag로 애니메이션을 요청해도 304가 아님
+  const revalidated = await fetch(`${imageUrl}?animate=true`, { headers: { 'If-None-Match': plain.headers.get('etag') } });
+  assert.strictEqual(revalidated.status, 200);
+  await revalidated.arrayBuffer();
+});
+
+test('렌더링 큐가 가득 차면 503과 Retry-After', async () => {
+  const baseUrl = await startServer({ RENDER_WORKERS: '1', RENDER_QUEUE_MAX: '0' });
+  const response = await fetch(`${baseUrl}/render`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ config: CONFIG, value: 50 })
+  });
+  assert.strictEqual(response.status, 503);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  const body = await response.json();
+  assert.strictEqual(body.code, 'OVERLOADED');
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const { createStateStore } = require('../state-store');
+
+const add = amount => current => ({ values: { Love: (current ? current.values.Love : 0) + amount }, history: [] });
+
+function createTempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+  return path.join(dir, 'state.json');
+}
+
+test('파일 쓰기가 실패하면 값이 바뀌지 않고, 재시도는 한 번만 적용됨', async () => {
+  const file = createTempFile();
+  const store = createStateStore({ file });
+  await store.update('b/alice/u1', add(10));
+
+  // 임시 파일 자리에 폴더를 만들어 쓰기 실패 유도
+  fs.mkdirSync(`${file}.tmp`);
+  await assert.rejects(store.update('b/alice/u1', add(5)));
+  assert.strictEqual(store.get('b/alice/u1').values.Love, 10);
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).records['b/alice/u1'].values.Love, 10);
+
+  fs.rmdirSync(`${file}.tmp`);
+  const record = await store.update('b/alice/u1', add(5));
+  assert.strictEqual(record.values.Love, 15);
+  assert.strictEqual(createStateStore({ file }).get('b/alice/u1').values.Love, 15);
+});
+
+test('동시 변경은 차례로 적용됨', async () => {
+  const file = createTempFile();
+  const store = createStateStore({ file });
+  await Promise.all([1, 2, 3, 4].map(amount => store.update('b/alice/u1', add(amount))));
+  assert.strictEqual(store.get('b/alice/u1').values.Love, 10);
+  await store.flush();
+  assert.strictEqual(createStateStore({ file }).get('b/alice/u1').values.Love, 10);
+});
+
+test('update가 null을 반환하면 파일을 쓰지 않고 현재 기록 반환', async () => {
+  const file = createTempFile();
+  const store = createStateStore({ file });
+  assert.strictEqual(await store.update('b/alice/u1', () => null), null);
+  assert.strictEqual(fs.existsSync(file), false);
+});